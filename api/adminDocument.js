@@ -0,0 +1,237 @@
+const express = require('express')
+const status = require('http-status')
+const { Types: { ObjectId } } = require('mongoose')
+const Document = require('../db-api/document')
+const CustomForm = require('../db-api/customForm')
+const User = require('../db-api/user')
+const Audit = require('../db-api/audit')
+const auth = require('../services/auth')
+const errors = require('../services/errors')
+const audit = require('../services/audit')
+const middlewares = require('../services/middlewares')
+const notifier = require('../services/notifier')
+const webhooks = require('../services/webhooks')
+const scheduler = require('../services/scheduler')
+const validator = require('../services/jsonSchemaValidator')
+const lifecycle = require('../services/lifecycle')
+const router = express.Router()
+
+// Get a document, no matter its state
+const getDocument = async (req) => {
+  const document = await Document.get({ _id: req.params.id })
+  if (!document) throw errors.ErrNotFound('Document not found')
+  return document
+}
+
+// Force the state of a document, and let everyone know like a normal transition
+const forceState = (state) => async (req, res, next) => {
+  try {
+    const document = await getDocument(req)
+    if (document.state === state) throw errors.ErrInvalidTransition(document.state, state)
+    // An open document whose closing date has passed would be closed again
+    if (state === lifecycle.STATES.OPEN && lifecycle.hasClosingDatePassed(document)) {
+      throw errors.ErrBadRequest('The closing date of the document has passed', { field: 'closingDate' })
+    }
+    const updatedDocument = await Document.forceState(document._id, state, req.session.user._id, req.body.reason)
+    audit.track(res, { before: { state: document.state }, after: { state: state }, data: { reason: req.body.reason || null } })
+    scheduler.reschedule(updatedDocument._id)
+    if (!lifecycle.isPublished(document.state) && lifecycle.isPublished(state)) {
+      webhooks.emit('document-published', { document: updatedDocument._id, author: document.author._id })
+    }
+    if (state === lifecycle.STATES.CLOSED) {
+      webhooks.emit('document-closed', { document: updatedDocument._id })
+      notifier.sendDocumentNotification('document-closed', updatedDocument._id)
+    }
+    res.status(status.OK).json(updatedDocument)
+  } catch (err) {
+    next(err)
+  }
+}
+
+router.route('/')
+  /**
+   * @api {get} /admin/documents List
+   * @apiName getAdminDocuments
+   * @apiGroup Admin
+   * @apiDescription Returns a paginated list of the documents of every author, no matter their state.
+   * @apiPermission admin
+   * @apiParam {String} [state] Only the documents in these states, separated by comma. Ex: <code>state=draft,in-review</code>
+   * @apiParam {String} [author] Only the documents of this user
+   * @apiParam {String} [customForm] Only the documents of this custom form (slug)
+   * @apiParam {Boolean} [deleted] If <code>true</code>, lists the deleted documents instead
+   */
+  .get(
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        let query = {}
+        if (req.query.state) {
+          const states = req.query.state.split(',')
+          if (!states.every(lifecycle.isState)) throw errors.ErrInvalidParam('state')
+          query.state = { $in: states }
+        }
+        if (req.query.author) {
+          if (!ObjectId.isValid(req.query.author)) throw errors.ErrInvalidParam('author')
+          query.author = req.query.author
+        }
+        if (req.query.customForm) {
+          const customForm = await CustomForm.get({ slug: req.query.customForm })
+          if (!customForm) throw errors.ErrInvalidParam('customForm')
+          query.customForm = customForm._id
+        }
+        if (req.query.deleted === 'true') query.deleted = true
+        const results = await Document.list(query, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/unpublish')
+  /**
+   * @api {post} /admin/documents/:id/unpublish Unpublish
+   * @apiName unpublishDocument
+   * @apiGroup Admin
+   * @apiDescription Takes a document back to <code>draft</code>, from any state. It is no longer public.
+   * @apiPermission admin
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} [reason] (Body) Why the document was unpublished. It is kept on the state history.
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    forceState(lifecycle.STATES.DRAFT))
+
+router.route('/:id/close')
+  /**
+   * @api {post} /admin/documents/:id/close Close
+   * @apiName closeDocument
+   * @apiGroup Admin
+   * @apiDescription Closes a document, from any state. The followers are notified.
+   * @apiPermission admin
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} [reason] (Body) Why the document was closed. It is kept on the state history.
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    forceState(lifecycle.STATES.CLOSED))
+
+router.route('/:id/reopen')
+  /**
+   * @api {post} /admin/documents/:id/reopen Reopen
+   * @apiName reopenDocument
+   * @apiGroup Admin
+   * @apiDescription Opens a document again, from any state. Its closing date must not have passed.
+   * @apiPermission admin
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} [reason] (Body) Why the document was reopened. It is kept on the state history.
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    forceState(lifecycle.STATES.OPEN))
+
+router.route('/:id/author')
+  /**
+   * @api {put} /admin/documents/:id/author Transfer the authorship
+   * @apiName transferDocument
+   * @apiGroup Admin
+   * @apiDescription Makes another user the author of a document. If the new author was a collaborator, it is not anymore.
+   * @apiPermission admin
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} author (Body) The id of the new author
+   * @apiParam {Boolean} [keepAsCoAuthor] (Body) If <code>true</code>, the previous author stays as a co-author
+   */
+  .put(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        if (!req.body.author) throw errors.ErrMissingParam('author')
+        if (!ObjectId.isValid(req.body.author)) throw errors.ErrInvalidParam('author')
+        const document = await getDocument(req)
+        const user = await User.get({ _id: req.body.author })
+        if (!user) throw errors.ErrNotFound('User not found')
+        if (user._id.equals(document.author._id)) throw errors.ErrInvalidParam('author')
+        await Document.transferAuthor(document._id, user._id, req.body.keepAsCoAuthor === true)
+        audit.track(res, { before: { author: document.author._id }, after: { author: user._id } })
+        res.status(status.OK).json(await Document.get({ _id: document._id }))
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/custom-form')
+  /**
+   * @api {put} /admin/documents/:id/custom-form Change the custom form
+   * @apiName changeDocumentCustomForm
+   * @apiGroup Admin
+   * @apiDescription Changes the custom form of a document, and pins it to the current version of the custom form. The content of its current version must be valid for it.
+   * @apiPermission admin
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} customForm (Body) The slug of the new custom form
+   */
+  .put(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        if (!req.body.customForm) throw errors.ErrMissingParam('customForm')
+        const document = await getDocument(req)
+        const customForm = await CustomForm.get({ slug: req.body.customForm })
+        if (!customForm) throw errors.ErrInvalidParam('customForm')
+        validator.isDataValid(customForm.fields, document.currentVersion.content)
+        await Document.setCustomForm(document._id, customForm)
+        audit.track(res, {
+          before: { customForm: document.customForm, customFormVersion: document.customFormVersion },
+          after: { customForm: customForm._id, customFormVersion: customForm.version }
+        })
+        res.status(status.OK).json(await Document.get({ _id: document._id }))
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/audit')
+  /**
+   * @api {get} /admin/documents/:id/audit Audit
+   * @apiName getDocumentAudit
+   * @apiGroup Admin
+   * @apiDescription Returns a paginated list of the audit entries of a document, the newest first: what its authors and the admins did on it. See <code>GET /audit</code>.
+   * @apiPermission admin
+   * @apiParam {String} id Documents ID.
+   */
+  .get(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const results = await Audit.list({ targetType: 'document', target: req.params.id }, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+module.exports = router
@@ -0,0 +1,108 @@
+const express = require('express')
+const status = require('http-status')
+const { Types: { ObjectId } } = require('mongoose')
+const Audit = require('../db-api/audit')
+const auth = require('../services/auth')
+const errors = require('../services/errors')
+const router = express.Router()
+
+const CSV_COLUMNS = ['date', 'actor', 'action', 'targetType', 'target', 'path', 'ip', 'diff', 'data']
+
+// Parse a date of the querystring
+const parseDate = (req, param) => {
+  const date = new Date(req.query[param])
+  if (isNaN(date.getTime())) throw errors.ErrInvalidParam(param)
+  return date
+}
+
+// Build the query of the filters
+const parseQuery = (req) => {
+  let query = {}
+  if (req.query.actor) {
+    if (!ObjectId.isValid(req.query.actor)) throw errors.ErrInvalidParam('actor')
+    query.actor = req.query.actor
+  }
+  if (req.query.target) {
+    if (!ObjectId.isValid(req.query.target)) throw errors.ErrInvalidParam('target')
+    query.target = req.query.target
+  }
+  if (req.query.targetType) query.targetType = req.query.targetType
+  if (req.query.from || req.query.to) {
+    query.createdAt = {}
+    if (req.query.from) query.createdAt.$gte = parseDate(req, 'from')
+    if (req.query.to) query.createdAt.$lte = parseDate(req, 'to')
+  }
+  return query
+}
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return ''
+  let text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value)
+  // Spreadsheets would run the cells that look like formulas
+  if (/^[=+\-@]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvRow = (entry) => [
+  entry.createdAt.toISOString(),
+  entry.actor ? entry.actor.username || entry.actor._id : '',
+  entry.action,
+  entry.targetType,
+  entry.target,
+  entry.path,
+  entry.ip,
+  entry.diff,
+  entry.data
+].map(toCsvValue).join(',') + '\r\n'
+
+router.route('/')
+  /**
+   * @api {get} /audit List the audit entries
+   * @apiName getAudit
+   * @apiGroup Audit
+   * @apiDescription Returns a paginated list of the write operations done through the API, the newest first. Each entry has the <code>actor</code>, the <code>action</code> (the route, Ex: <code>PUT /documents/:id</code>), the <code>targetType</code> and <code>target</code>, the <code>diff</code> between the data before and after the action, the <code>ip</code> and the date.
+   *
+   * Entries are removed after the retention of their kind of target (<code>AUDIT_RETENTION</code> and <code>AUDIT_RETENTION_RULES</code>).
+   * @apiPermission admin
+   * @apiParam {String} [actor] Only the entries of this user
+   * @apiParam {String} [targetType] Only the entries of this kind of target. Ex: <code>document</code>, <code>comment</code>, <code>custom-form</code> or <code>community</code>
+   * @apiParam {String} [target] Only the entries of this target
+   * @apiParam {Date} [from] Only the entries since this date
+   * @apiParam {Date} [to] Only the entries until this date
+   * @apiParam {String} [format] <code>csv</code> to export all the entries that match, without pagination
+   */
+  .get(
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const query = parseQuery(req)
+        if (req.query.format === 'csv') {
+          res.status(status.OK)
+          res.set('Content-Type', 'text/csv; charset=utf-8')
+          res.set('Content-Disposition', 'attachment; filename="audit.csv"')
+          res.write(CSV_COLUMNS.join(',') + '\r\n')
+          const cursor = Audit.cursor(query)
+          for (let entry = await cursor.next(); entry; entry = await cursor.next()) {
+            res.write(toCsvRow(entry))
+          }
+          return res.end()
+        }
+        if (req.query.format) throw errors.ErrInvalidParam('format')
+        const results = await Audit.list(query, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+module.exports = router
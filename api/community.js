@@ -3,6 +3,7 @@ const status = require('http-status')
 const log = require('../services/logger')
 const Community = require('../db-api/community')
 const auth = require('../services/auth')
+const audit = require('../services/audit')
 const router = express.Router()
 
 router.route('/')
@@ -52,7 +53,9 @@ router.route('/')
     auth.keycloak.protect('realm:admin'),
     async (req, res, next) => {
       try {
+        const community = await Community.get()
         const updatedCommunity = await Community.update(req.body)
+        audit.track(res, { before: community, after: updatedCommunity, target: updatedCommunity._id })
         res.status(status.OK).json(updatedCommunity)
       } catch (err) {
         next(err)
@@ -4,6 +4,8 @@ const CustomForm = require('../db-api/customForm')
 const router = express.Router()
 const auth = require('../services/auth')
 const middlewares = require('../services/middlewares')
+const errors = require('../services/errors')
+const audit = require('../services/audit')
 const log = require('../services/logger')
 
 router.route('/')
@@ -17,7 +19,8 @@ router.route('/')
   .get(
     async (req, res, next) => {
       try {
-        const results = await CustomForm.list({}, {
+        const list = req.query.versions === 'true' ? CustomForm.listVersions : CustomForm.list
+        const results = await list({}, {
           limit: req.query.limit,
           page: req.query.page
         })
@@ -50,6 +53,7 @@ router.route('/')
           fields: req.body.fields
         }
         const newCustomForm = await CustomForm.create(dataCustomForm)
+        audit.track(res, { after: newCustomForm, target: newCustomForm._id })
         res.status(status.CREATED).json(newCustomForm)
       } catch (err) {
         next(err)
@@ -88,7 +92,9 @@ router.route('/:id')
     auth.keycloak.protect('realm:admin'),
     async (req, res, next) => {
       try {
+        const customForm = await CustomForm.get({ _id: req.params.id })
         const updatedCustomForm = await CustomForm.update(req.params.id, req.body)
+        audit.track(res, { before: customForm, after: updatedCustomForm })
         res.status(status.OK).json(updatedCustomForm)
       } catch (err) {
         next(err)
@@ -115,4 +121,58 @@ router.route('/:id')
       }
     })
 
+router.route('/:id/versions')
+  /**
+   * @api {get} /custom-forms/:id/versions List the versions
+   * @apiDescription Returns a paginated list of the versions of a customForm, the newest first. A new version is kept every time its fields change, and documents follow the version they were created with.
+   * @apiName getCustomFormVersions
+   * @apiGroup CustomForm
+   *
+   * @apiParam {String} id The customForm id
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const results = await CustomForm.listVersions({ customForm: req.params.id }, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/versions/:version')
+  /**
+   * @api {get} /custom-forms/:id/versions/:version Get a version
+   * @apiDescription Returns a version of a customForm, as it was.
+   * @apiName getCustomFormVersion
+   * @apiGroup CustomForm
+   *
+   * @apiParam {String} id The customForm id
+   * @apiParam {Number} version The number of the version
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const version = parseInt(req.params.version, 10)
+        if (isNaN(version) || version < 0) throw errors.ErrInvalidParam('version')
+        const customFormVersion = await CustomForm.getVersion(req.params.id, version)
+        if (!customFormVersion) throw errors.ErrNotFound('Version of the customForm not found')
+        res.status(status.OK).json(customFormVersion)
+      } catch (err) {
+        next(err)
+      }
+    })
+
 module.exports = router
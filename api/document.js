@@ -7,12 +7,186 @@ const Community = require('../db-api/community')
 const Comment = require('../db-api/comment')
 const CustomForm = require('../db-api/customForm')
 const Like = require('../db-api/like')
+const ClosureReport = require('../db-api/closureReport')
+const Vote = require('../db-api/vote')
+const User = require('../db-api/user')
+const Subscription = require('../db-api/subscription')
 const router = express.Router()
 const auth = require('../services/auth')
 const errors = require('../services/errors')
 const notifier = require('../services/notifier')
+const webhooks = require('../services/webhooks')
+const scheduler = require('../services/scheduler')
 const middlewares = require('../services/middlewares')
 const utils = require('../services/utils')
+const html = require('../services/html')
+const exporter = require('../services/exporter')
+const importer = require('../services/importer')
+const lifecycle = require('../services/lifecycle')
+const richText = require('../services/richText')
+const policy = require('../services/policy')
+const audit = require('../services/audit')
+const formMigration = require('../services/formMigration')
+
+// Check if the user can do something on a document, following its policy
+const checkPermission = (req, document, action) => {
+  if (!policy.can(req.session.user, document, action)) throw errors.ErrForbidden
+}
+
+// Get a document the user can read. Drafts are only available for its author and collaborators.
+const getReadableDocument = async (req) => {
+  const document = await Document.get({ _id: req.params.id })
+  if (!document) throw errors.ErrNotFound('Document not found or doesn\'t exist')
+  if (!document.published) checkPermission(req, document, policy.ACTIONS.READ)
+  return document
+}
+
+// The data of a document that the audit compares before and after a change
+const auditSnapshot = (document) => ({
+  state: document.state,
+  publishDate: document.publishDate,
+  content: document.currentVersion.content
+})
+
+// The collaborators of a document, for the audit
+const auditCollaborators = (document) => ({
+  collaborators: document.collaborators.map((c) => ({ user: c.user ? c.user._id : null, role: c.role }))
+})
+
+// Update the counters of a comment that is not listed anymore (hidden or deleted), or is listed again
+const updateCommentsCount = (comment, listed) => {
+  if (comment.parent) return listed ? Comment.addReply(comment.parent) : Comment.removeReply(comment.parent)
+  return listed ? Document.addComment({ _id: comment.document }) : Document.removeComment({ _id: comment.document })
+}
+
+// Admins, the author of a document and its moderators can moderate its comments
+const isModerator = (req, document) => {
+  return auth.hasRealmRole(req, 'admin') || policy.can(req.session.user, document, policy.ACTIONS.MODERATE)
+}
+
+// Check if the user was banned from commenting on a document
+const checkNotBanned = (req, document) => {
+  if ((document.bannedUsers || []).some((user) => user.equals(req.session.user._id))) {
+    throw errors.ErrNotAuthorized('You were banned from commenting on this document')
+  }
+}
+
+// Parse the number of an article of the current version. Returns null if there is no article
+const parseArticle = (document, value) => {
+  if (value === undefined || value === null || value === '') return null
+  const article = parseInt(value, 10)
+  const articles = richText.getArticles(document.currentVersion.content.articles)
+  if (!articles.some((a) => a.number === article)) throw errors.ErrInvalidParam('article')
+  return article
+}
+
+// The value of the vote of a user on a document, or on one of its articles. Null if the user didn't vote
+const getVote = async (document, user, article) => {
+  const votes = await Vote.getAll({ document: document._id, user: user, article: article })
+  return votes.length ? votes[0].value : null
+}
+
+// Parse the date when a draft will be opened by the scheduler
+const parsePublishDate = (value) => {
+  if (value === undefined || value === null || value === '') return null
+  const date = new Date(value)
+  if (isNaN(date.getTime())) throw errors.ErrInvalidParam('publishDate')
+  return date
+}
+
+// Check if a date was changed, comparing their times
+const hasChangedDate = (previous, current) => {
+  if (current === undefined) return false
+  const time = (date) => date ? new Date(date).getTime() : null
+  return time(previous) !== time(current)
+}
+
+// Emit the webhook events of the changes of a document
+const emitDocumentEvents = (document, updatedDocument, newVersion) => {
+  if (!lifecycle.isPublished(document.state) && lifecycle.isPublished(updatedDocument.state)) {
+    webhooks.emit('document-published', { document: updatedDocument._id, author: document.author._id })
+  }
+  if (newVersion) {
+    webhooks.emit('document-new-version', { document: updatedDocument._id, version: updatedDocument.currentVersion })
+  }
+  if (document.state !== lifecycle.STATES.CLOSED && updatedDocument.state === lifecycle.STATES.CLOSED) {
+    webhooks.emit('document-closed', { document: updatedDocument._id })
+  }
+}
+
+// Toggle the reaction of the user to a visible comment of an open document
+const react = async (req, res, type) => {
+  const { idComment } = req.params
+  const document = await Document.get({ _id: req.params.id })
+  if (!document) {
+    throw errors.ErrNotFound('Document not found')
+  }
+  if (!lifecycle.isOpen(document)) {
+    // The document is not open, no more reactions allowed
+    throw errors.ErrClosed
+  }
+  if (!ObjectId.isValid(idComment)) throw errors.ErrNotFound('Comment not found')
+  const comment = await Comment.get({ _id: idComment, document: req.params.id, deleted: { $ne: true }, hidden: { $ne: true } })
+  if (!comment) {
+    throw errors.ErrNotFound('Comment not found')
+  }
+  const reaction = await Like.toggle(req.session.user._id, idComment, type)
+  audit.track(res, { before: { reacted: !reaction }, after: { reacted: !!reaction }, data: { type: type } })
+  const isTheAuthor = policy.can(req.session.user, document, policy.ACTIONS.REPLY)
+  if (reaction && type === 'support' && isTheAuthor) {
+    notifier.sendCommentNotification('comment-liked', idComment)
+  }
+  if (reaction && type === 'support') {
+    webhooks.emit('comment-liked', { document: document._id, comment: comment._id, user: req.session.user._id })
+  }
+  return reaction
+}
+
+// Parse the "state" querystring. Returns a query for the states, or the default one
+const parseStates = (req, allowedStates, defaultStates) => {
+  if (!req.query.state) return defaultStates ? { $in: defaultStates } : undefined
+  const states = req.query.state.split(',')
+  if (!states.every((state) => allowedStates.includes(state))) throw errors.ErrInvalidParam('state')
+  return { $in: states }
+}
+
+// Parse a version number of the request, a positive integer
+const parseVersion = (value, param) => {
+  if (!/^[1-9]\d*$/.test(value)) throw errors.ErrInvalidParam(param)
+  return parseInt(value, 10)
+}
+
+// Check if the user reached the creation limit of documents
+const checkCreationLimit = async (req) => {
+  // Get the community, we will need it to check the permissions of an accountable
+  const community = await Community.get()
+  const documentsCount = await Document.countAuthorDocuments(req.session.user._id)
+  if (documentsCount >= community.permissions.accountable.documentCreationLimit) {
+    throw errors.ErrNotAuthorized(`Cannot create more documents (Creation limit reached: ${community.permissions.accountable.documentCreationLimit})`)
+  }
+}
+
+// Get the custom form (by its slug) of a new document. Document.create() validates the content against it
+const getCreationCustomForm = async (req, slug) => {
+  // check if the user reached the creation limit
+  await checkCreationLimit(req)
+  const customForm = await CustomForm.get({ slug: slug })
+  if (!customForm) {
+    throw errors.ErrBadRequest('customForm')
+  }
+  return customForm
+}
+
+// Send a version of a document exported to the format of the "format" querystring
+const sendExport = async (req, res, document, version) => {
+  const format = req.query.format || 'md'
+  if (!exporter.FORMATS[format]) throw errors.ErrInvalidParam('format')
+  const customForm = await CustomForm.getForDocument(document)
+  const community = await Community.get()
+  const exported = exporter.exportVersion(format, { document, version, customForm, community })
+  res.set('Content-Disposition', `attachment; filename="${document._id}-v${version.version}.${exporter.FORMATS[format].extension}"`)
+  res.status(status.OK).type(exporter.FORMATS[format].type).send(exported)
+}
 
 /**
  * @apiDefine admin User access only
@@ -33,30 +207,62 @@ router.route('/')
   /**
    * @api {get} /documents List
    * @apiName getDocuments
-   * @apiDescription Returns a paginated list of -published- documents
+   * @apiDescription Returns a paginated list of -published- documents. Archived documents are not listed unless they are asked with the <code>state</code> querystring. If any of the search querystrings is present, the list is filtered and the facets of the results are returned next to the pagination.
    * @apiGroup Document
+   * @apiParam {String} [state] Only the documents in these states, separated by comma. Ex: <code>state=open,closed</code>
+   * @apiParam {String} [q] Words to search in the content of the current version of the documents
+   * @apiParam {ObjectID} [author] Only the documents of this author
+   * @apiParam {ObjectID} [customForm] Only the documents that follow this custom form
+   * @apiParam {Boolean} [closed] Only closed (<code>true</code>) or open (<code>false</code>) documents
+   * @apiParam {Date} [closingDateFrom] Only documents that close after this date
+   * @apiParam {Date} [closingDateTo] Only documents that close before this date
+   * @apiSuccess {Object} [facets] Counts of the results by <code>authors</code>, <code>customForms</code>, <code>states</code>, <code>closed</code> and <code>closingDates</code> ranges
    */
   .get(
     async (req, res, next) => {
       try {
         let results = null
-        // If it is null, just show the published documents
-        results = await Document.list({ published: true }, {
-          limit: req.query.limit,
-          page: req.query.page
-        })
-        let today = new Date()
+        let query = { state: parseStates(req, lifecycle.PUBLISHED_STATES, lifecycle.LISTED_STATES) }
+        if (utils.checkIfAtLeastOneQuery(req.query, ['q', 'author', 'customForm', 'closed', 'closingDateFrom', 'closingDateTo'])) {
+          // Search mode
+          ['author', 'customForm'].forEach((param) => {
+            if (req.query[param] === undefined) return
+            if (!ObjectId.isValid(req.query[param])) throw errors.ErrInvalidParam(param)
+            query[param] = ObjectId(req.query[param])
+          })
+          let filters = {
+            text: req.query.q,
+            closed: req.query.closed === undefined ? undefined : req.query.closed === 'true'
+          }
+          ;['closingDateFrom', 'closingDateTo'].forEach((param) => {
+            if (req.query[param] === undefined) return
+            filters[param] = new Date(req.query[param])
+            if (isNaN(filters[param])) throw errors.ErrInvalidParam(param)
+          })
+          results = await Document.search(query, filters, {
+            limit: req.query.limit,
+            page: req.query.page
+          })
+        } else {
+          // If it is null, just show the published documents
+          results = await Document.list(query, {
+            limit: req.query.limit,
+            page: req.query.page
+          })
+        }
         results.docs.forEach((doc) => {
-          doc.closed = today > new Date(doc.currentVersion.content.closingDate)
+          doc.closed = lifecycle.isClosed(doc)
         })
-        res.status(status.OK).json({
+        let payload = {
           results: results.docs,
           pagination: {
             count: results.total,
             page: results.page,
             limit: results.limit
           }
-        })
+        }
+        if (results.facets) payload.facets = results.facets
+        res.status(status.OK).json(payload)
       } catch (err) {
         next(err)
       }
@@ -65,29 +271,29 @@ router.route('/')
    * @api {post} /documents Create
    * @apiName postDocument
    * @apiDescription Creates a document and returns the created document. The author is not required to be sent on the body. API sets the author by itself.
+   *
+   * Open documents are closed by the scheduler at their <code>closingDate</code>, and their followers are reminded 48 hours before.
    * @apiGroup Document
    * @apiPermission accountable
+   * @apiParam {Date} [publishDate] If the document is a draft, the scheduler opens it at this date
    */
   .post(
     auth.keycloak.protect('realm:accountable'),
     async (req, res, next) => {
       try {
-        // Get the community, we will need it to check the permissions of an accountable
-        const community = await Community.get()
-        // check if the user reached the creation limit
-        const documentsCount = await Document.countAuthorDocuments(req.session.user._id)
-        if (documentsCount >= community.permissions.accountable.documentCreationLimit) {
-          throw errors.ErrNotAuthorized(`Cannot create more documents (Creation limit reached: ${community.permissions.accountable.documentCreationLimit})`)
-        }
-        req.body.author = req.session.user._id
         // In the body of the request customForm will be a slug. It will be an id later.
-        const customForm = await CustomForm.get({ slug: req.body.customForm })
-        if (!customForm) {
-          throw errors.ErrBadRequest('customForm')
-        }
+        const customForm = await getCreationCustomForm(req, req.body.customForm)
+        req.body.author = req.session.user._id
+        req.body.publishDate = parsePublishDate(req.body.publishDate)
         const newDocument = await Document.create(req.body, customForm)
+        audit.track(res, { after: { state: newDocument.state, publishDate: newDocument.publishDate, content: req.body.content }, target: newDocument._id })
         // Set closing notification agenda
         notifier.setDocumentClosesNotification(newDocument._id, req.body.content.closingDate)
+        scheduler.reschedule(newDocument._id)
+        webhooks.emit('document-created', { document: newDocument._id, author: newDocument.author, state: newDocument.state })
+        if (lifecycle.isPublished(newDocument.state)) {
+          webhooks.emit('document-published', { document: newDocument._id, author: newDocument.author })
+        }
         // Send
         res.status(status.CREATED).send(newDocument)
       } catch (err) {
@@ -99,16 +305,108 @@ router.route('/my-documents')
   /**
      * @api {get} /my-documents List
      * @apiName getDocuments
-     * @apiDescription Returns a paginated list of the users documents. Lists all kind of documents, no matter the state.
+     * @apiDescription Returns a paginated list of the documents of the user, as author or collaborator. Lists all kind of documents, no matter the state.
      * @apiGroup Document
+     * @apiParam {String} [state] Only the documents in these states, separated by comma. Ex: <code>state=draft,in-review</code>
+     * @apiParam {Boolean} [deleted] If <code>true</code>, lists the deleted documents of the user instead. Only the author can restore them.
      */
   .get(
-    auth.keycloak.protect('realm:accountable'),
+    auth.keycloak.protect(),
     async (req, res, next) => {
       try {
         let results = null
         // If it is null, just show the published documents
-        results = await Document.list({ author: req.session.user._id }, {
+        let query = { $or: [{ author: req.session.user._id }, { 'collaborators.user': req.session.user._id }] }
+        const states = parseStates(req, Object.values(lifecycle.STATES))
+        if (states) query.state = states
+        if (req.query.deleted === 'true') {
+          delete query.$or
+          query.author = req.session.user._id
+          query.deleted = true
+        }
+        results = await Document.list(query, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/import')
+  /**
+   * @api {post} /documents/import Import
+   * @apiName importDocument
+   * @apiDescription Creates a draft document from a Markdown or HTML source (Ex: a DOCX converted to HTML).
+   *
+   * The first heading is the title of the document. A heading with the title of a rich text field of the custom form starts that field, and blocks like "Artículo N" go to the <code>articles</code> field. Anything before them goes to the first rich text field.
+   * @apiGroup Document
+   * @apiPermission accountable
+   * @apiParam {String} customForm (Body) The slug of the custom form
+   * @apiParam {String} format (Body) <code>md</code> or <code>html</code>
+   * @apiParam {String} source (Body) The text to import
+   * @apiParam {Object} [content] (Body) Other fields of the content (Ex: <code>closingDate</code>). They override the imported ones.
+   * @apiExample {json} POST body
+   * {
+   *  "customForm": "project-form",
+   *  "format": "md",
+   *  "source": "# Ley de ejemplo\n\n## Fundamentos\n\nLorem ipsum\n\nArtículo 1: Dolor sit amet"
+   * }
+   */
+  .post(
+    auth.keycloak.protect('realm:accountable'),
+    async (req, res, next) => {
+      try {
+        if (!importer.FORMATS.includes(req.body.format)) {
+          throw errors.ErrInvalidParam('format')
+        }
+        if (typeof req.body.source !== 'string' || !req.body.source.trim()) {
+          throw errors.ErrMissingParam('source')
+        }
+        const customForm = await getCreationCustomForm(req, req.body.customForm)
+        const content = Object.assign(importer.importContent(req.body.format, req.body.source, customForm), req.body.content)
+        const newDocument = await Document.create({
+          author: req.session.user._id,
+          published: false,
+          content: content
+        }, customForm)
+        audit.track(res, { after: { state: newDocument.state, content: content }, target: newDocument._id, data: { format: req.body.format } })
+        if (content.closingDate) {
+          notifier.setDocumentClosesNotification(newDocument._id, content.closingDate)
+        }
+        scheduler.reschedule(newDocument._id)
+        webhooks.emit('document-created', { document: newDocument._id, author: newDocument.author, state: newDocument.state })
+        res.status(status.CREATED).send(newDocument)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/moderation')
+  /**
+   * @api {get} /documents/moderation Moderation queue
+   * @apiName getModerationQueue
+   * @apiGroup Moderation
+   * @apiDescription Returns a paginated list of the flagged comments of every document, most flagged first. Each comment comes with its <code>flags</code> (user, reason and date) and its <code>flagsCount</code>.
+   * @apiPermission admin
+   * @apiParam {Boolean} [hidden] Only hidden (<code>true</code>) or visible (<code>false</code>) comments
+   */
+  .get(
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        // The comments of deleted documents are left out
+        let query = { document: { $nin: await Document.getDeletedIds() } }
+        if (req.query.hidden !== undefined) query.hidden = req.query.hidden === 'true'
+        const results = await Comment.listFlagged(query, {
           limit: req.query.limit,
           page: req.query.page
         })
@@ -134,14 +432,23 @@ router.route('/:id')
    * @apiParam {String} id Documents ID.
    * @apiSuccess {String}  id Id of the document
    * @apiSuccess {String}  author  The user id of the author.
-   * @apiSuccess {String}  published State of the document. If `false` is a draft and should not be public.
+   * @apiSuccess {String}  state State of the document. One of <code>draft</code>, <code>in-review</code>, <code>open</code>, <code>closed</code>, <code>closure-published</code> or <code>archived</code>.
+   * @apiSuccess {Object[]}  stateHistory The transitions of the document, with the <code>date</code> and the <code>user</code> who made them.
+   * @apiSuccess {String}  published If `false` is a draft (or in review) and should not be public.
    * @apiSuccess {String}  customForm Id of the custom form
+   * @apiSuccess {Number}  customFormVersion The version of the custom form that the document follows. Its content is validated against it
    * @apiSuccess {Date}  createdAt Date of creation
    * @apiSuccess {Date}  updatedAt Date of update
    * @apiSuccess {Object}  content Content of the document
    * @apiSuccess {String}  content.title Title of the document
    * @apiSuccess {String}  content.brief A brief of the document
    * @apiSuccess {Object}  content.fields The custom fields of the document, those were defined on the custom form.
+   * @apiSuccess {Boolean}  isAuthor If the logged user is the author of the document.
+   * @apiSuccess {String}  role The role of the logged user on the document: <code>author</code>, <code>co-author</code>, <code>editor</code>, <code>moderator</code> or <code>null</code>.
+   * @apiSuccess {String[]}  permissions What the logged user can do on the document.
+   * @apiSuccess {Object[]}  coAuthors The co-authors of the document.
+   * @apiSuccess {Object}  votes The results of the votes on the document (<code>votes.document</code>) and on each of its articles (<code>votes.articles</code>), with the <code>votersCount</code>.
+   * @apiSuccess {Object[]}  userVotes The votes of the logged user, with their <code>article</code> (<code>null</code> for the whole document) and <code>value</code>.
    */
   .get(
     middlewares.checkId,
@@ -150,29 +457,37 @@ router.route('/:id')
         const document = await Document.get({ _id: req.params.id })
         // No document?
         if (!document) throw errors.ErrNotFound('Document not found or doesn\'t exist')
-        // Check if the user is the author
-        const isTheAuthor = req.session.user ? req.session.user._id.equals(document.author._id) : false
-        const isClosed = new Date() > new Date(document.currentVersion.content.closingDate)
+        // Check if the user is the author, or a collaborator
+        const isTheAuthor = policy.isAuthor(req.session.user, document)
+        const role = policy.roleOf(req.session.user, document)
+        const isClosed = lifecycle.isClosed(document)
         // Check if it is published or not (draft)
         if (!document.published) {
-          // It's a draft, check if the author is the user who requested it.
-          if (!isTheAuthor) {
-            // No, Then the user shouldn't be asking for this document.
-            throw errors.ErrForbidden
-          }
+          // It's a draft, check if the user who requested it works on it.
+          checkPermission(req, document, policy.ACTIONS.READ)
         }
         document.closed = isClosed
         let payload = {
           document: document,
-          isAuthor: isTheAuthor
+          isAuthor: isTheAuthor,
+          role: role,
+          permissions: Object.values(policy.ACTIONS).filter((action) => policy.can(req.session.user, document, action)),
+          coAuthors: (document.collaborators || [])
+            .filter((collaborator) => collaborator.role === policy.ROLES.CO_AUTHOR)
+            .map((collaborator) => collaborator.user),
+          votes: await Vote.results(document._id)
+        }
+        if (req.session.user) {
+          payload.userVotes = await Vote.getAll({ document: document._id, user: req.session.user._id })
         }
         // If the document is closed
         if (isClosed) {
           const contributionsData = await DocumentVersion.countContributions({ document: req.params.id })
-          const contextualCommentsCount = await Comment.count({ document: req.params.id, decoration: { $ne: null } })
+          const contextualCommentsCount = await Comment.count({ document: req.params.id, decoration: { $ne: null }, deleted: { $ne: true }, hidden: { $ne: true } })
           payload.contributionsCount = contributionsData.contributionsCount
           payload.contributorsCount = contributionsData.contributorsCount
           payload.contextualCommentsCount = contextualCommentsCount
+          payload.votersCount = payload.votes.votersCount
         }
         // Deliver the document
         res.status(status.OK).json(payload)
@@ -184,13 +499,18 @@ router.route('/:id')
    * @api {put} /documents/:id Update
    * @apiName putDocument
    * @apiDescription Modifies a document. You just need to send the changed fields. No need to send all the document.
+   *
+   * For compatibility, <code>published</code> and <code>closed</code> are changes of state: they open or close the document, following the allowed transitions.
+   *
+   * The jobs of the scheduler are rescheduled with the new <code>publishDate</code> and <code>closingDate</code>.
    * @apiGroup Document
    * @apiPermission accountable
    * @apiParam {Number} id Documents ID.
+   * @apiParam {Date} [publishDate] If the document is a draft, the scheduler opens it at this date. <code>null</code> to cancel it
    */
   .put(
     middlewares.checkId,
-    auth.keycloak.protect('realm:accountable'),
+    auth.keycloak.protect(),
     async (req, res, next) => {
       try {
         // Get the document
@@ -198,20 +518,35 @@ router.route('/:id')
         if (!document) {
           throw errors.ErrNotFound('Document not found')
         }
-        // Check if the user is the author of the document
-        if (!req.session.user._id.equals(document.author._id)) {
-          throw errors.ErrForbidden // User is not the author
+        // Check if the user can edit the document
+        checkPermission(req, document, policy.ACTIONS.EDIT)
+        if (!lifecycle.isEditable(document)) {
+          throw errors.ErrNotAuthorized(`The document cannot be edited while it is ${document.state}`)
+        }
+        // Changes of state requested with the old flags
+        let newState = null
+        if (req.body.published === true && !lifecycle.isPublished(document.state)) newState = lifecycle.STATES.OPEN
+        if (req.body.published === false && lifecycle.isPublished(document.state)) newState = lifecycle.STATES.DRAFT
+        if (req.body.closed === true && document.state === lifecycle.STATES.OPEN) newState = lifecycle.STATES.CLOSED
+        if (newState) checkPermission(req, document, policy.ACTIONS.PUBLISH)
+        if (newState && !lifecycle.canTransition(document.state, newState)) {
+          throw errors.ErrInvalidTransition(document.state, newState)
+        }
+        // Checked before saving anything. The closing date sent with the changes is the one that counts
+        if (newState === lifecycle.STATES.OPEN && lifecycle.hasClosingDatePassed({ currentVersion: { content: Object.assign({}, document.currentVersion.content, req.body.content) } })) {
+          throw errors.ErrBadRequest('The closing date of the document has passed', { field: 'closingDate' })
         }
         // First deal with the decorations! Comments needs to be updated!
         if (req.body.decorations && req.body.decorations.length > 0) {
           await Comment.updateDecorations(document.currentVersion._id, req.body.decorations)
         }
-        let newDataDocument = {
-          published: req.body.published,
-          closed: req.body.closed
+        let newDataDocument = {}
+        if (req.body.publishDate !== undefined) {
+          newDataDocument.publishDate = parsePublishDate(req.body.publishDate)
         }
+        const previousClosingDate = document.currentVersion.content.closingDate
         // Retrieve the version of the customForm that the document follows
-        const customForm = await CustomForm.get({ _id: document.customForm })
+        const customForm = await CustomForm.getForDocument(document)
         // Check if this will imply a new document version
         if (req.body.contributions && req.body.contributions.length > 0) {
           // Set the data to save
@@ -234,7 +569,7 @@ router.route('/:id')
           }
           const comments = await Comment.getAll(query, true)
           // Send email
-          comments.forEach((comment) => {
+          comments.filter((comment) => !comment.hidden).forEach((comment) => {
             notifier.sendCommentNotification('comment-contribution', comment._id)
           })
         } else {
@@ -242,233 +577,1282 @@ router.route('/:id')
           await DocumentVersion.update(document.currentVersion._id, req.body.content, customForm)
         }
         // Update the document, with the correct customForm
-        const updatedDocument = await Document.update(req.params.id, newDataDocument)
-        // Set document closes event
-        if (req.body.content && req.body.content.closingDate) {
+        let updatedDocument = await Document.update(req.params.id, newDataDocument)
+        if (newState) {
+          updatedDocument = await Document.transition(req.params.id, newState, req.session.user._id)
+        }
+        // Set document closes event, only if the closing date changed
+        if (req.body.content && req.body.content.closingDate && hasChangedDate(previousClosingDate, req.body.content.closingDate)) {
           notifier.setDocumentClosesNotification(updatedDocument.id, req.body.content.closingDate)
         }
+        // The closing date, the publish date or the state could have changed
+        scheduler.reschedule(updatedDocument._id)
+        emitDocumentEvents(document, updatedDocument, !!newDataDocument.currentVersion)
+        // Notify the followers
+        if (lifecycle.isPublished(updatedDocument.state)) {
+          const except = { except: req.session.user._id }
+          if (newDataDocument.currentVersion) {
+            notifier.sendDocumentNotification('document-new-version', updatedDocument._id, except)
+          }
+          if (req.body.content && hasChangedDate(previousClosingDate, req.body.content.closingDate)) {
+            notifier.sendDocumentNotification('document-closing-date-changed', updatedDocument._id, except)
+          }
+          if (newState === lifecycle.STATES.CLOSED) {
+            notifier.sendDocumentNotification('document-closed', updatedDocument._id, except)
+          }
+        }
+        audit.track(res, { before: auditSnapshot(document), after: auditSnapshot(await Document.get({ _id: updatedDocument._id })) })
         res.status(status.OK).json(updatedDocument)
       } catch (err) {
         next(err)
       }
     })
-
-router.route('/:id/comments')
   /**
-     * @api {get} /documents/:idDocument/comments Get an array of comments
-     * @apiName getSomeComments
-     * @apiGroup Comments
-     * @apiDescription You can get an array of comments of a document, as long you provide the correct querystring. No querystring at all returns a BAD REQUEST error.
-     * @apiParam {ObjectID(s)} [ids] A list of ObjectIds, separated by comma. Ex: <code>ids=commentI21,commentId2,commentId3</code>
-     * @apiParam {String} [field] The name of the field that the comments belongs to
-     */
-  .get(
+   * @api {delete} /documents/:id Delete
+   * @apiName deleteDocument
+   * @apiDescription Archives a document. It is left out of the listings and the counters, and its versions, comments and likes are no longer available. The author can find it with <code>GET /my-documents?deleted=true</code> and restore it.
+   *
+   * Only the author of the document or an admin can do this.
+   * @apiGroup Document
+   * @apiParam {String} id Documents ID.
+   */
+  .delete(
     middlewares.checkId,
+    auth.keycloak.protect(),
     async (req, res, next) => {
       try {
-        // If there are no query string, then throw an error
-        if (!utils.checkIfAtLeastOneQuery(req.query, ['ids', 'field'])) {
-          throw errors.ErrMissingQuerystring(['ids', 'field'])
-        }
-        // Prepare query
-        let query = {
-          document: req.params.id
-        }
-        // If there is a "ids" querystring.. add it
-        if (req.query.ids) {
-          const idsToArray = req.query.ids.split(',')
-          let idsArray = idsToArray.map((id) => {
-            return ObjectId(id)
-          })
-          query._id = { $in: idsArray }
-        }
-        // If there is a "field" querystring.. add it
-        if (req.query.field) {
-          query.field = req.query.field
-          query.resolved = false
-        }
-
-        const mapPromises = (fn) => (array) => Promise.all(array.map(fn))
-
-        let comments = await Comment.getAll(query, false)
-          .then(mapPromises(
-            async (comment) => {
-              const likes = await Like.getAll({
-                comment: ObjectId(comment._id)
-              })
-
-              return { ...comment.toJSON(), likes: (likes ? likes.length : 0) }
-            }
-          ))
-
-        if (req.session.user) {
-          comments = await mapPromises(
-            async (comment) => {
-              const like = await Like.get({
-                user: ObjectId(req.session.user._id),
-                comment: ObjectId(comment._id)
-              })
-
-              return { ...comment, isLiked: !!like }
-            }
-          )(comments)
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
         }
-        return res.status(status.OK).json(comments)
+        if (!auth.hasRealmRole(req, 'admin')) checkPermission(req, document, policy.ACTIONS.MANAGE)
+        await Document.remove(document._id, req.session.user._id)
+        audit.track(res, { before: { deleted: false }, after: { deleted: true } })
+        scheduler.reschedule(document._id)
+        res.status(status.OK).json({ id: document._id })
       } catch (err) {
         next(err)
       }
-    }
-  )
+    })
+
+router.route('/:id/restore')
   /**
-   * @api {post} /documents/:id/:field/comments Create
-   * @apiName createComment
-   * @apiGroup Comments
-   * @apiDescription Creates a comment on a specific field of a document.
-   * @apiPermission authenticated
-   * @apiParam {string} field (Body) The field of the document where the comment is being made
-   * @apiParam {Number} comment (Body) The field of the document where the comment is being made
-   * @apiExample {json} POST body
-   * {
-   *  "field": "authorName",
-   *  "comment": "Nullam sit amet ipsum id metus porta rutrum in vel nibh. Sed efficitur quam urna, eget imperdiet libero ornare."
-   * }
+   * @api {post} /documents/:id/restore Restore
+   * @apiName restoreDocument
+   * @apiDescription Restores a deleted document, with its versions, comments and likes. Only the author of the document or an admin can do this.
+   * @apiGroup Document
+   * @apiParam {String} id Documents ID.
    */
   .post(
     middlewares.checkId,
     auth.keycloak.protect(),
     async (req, res, next) => {
       try {
-        req.body.user = req.session.user._id // Set the user
-        req.body.document = req.params.id // Set the document
-        const document = await Document.get({ _id: req.params.id })
+        const document = await Document.get({ _id: req.params.id, deleted: true })
         if (!document) {
-          // Document not found
-          throw errors.ErrNotFound('Document not found')
+          throw errors.ErrNotFound('Deleted document not found')
         }
-        // Document Found
-        // Get the customForm
-        const customForm = await CustomForm.get({ _id: document.customForm })
-        if (!customForm.fields.allowComments.find((x) => { return x === req.body.field })) {
-          // If the field is not inside the "allowComments" array, throw error
-          throw errors.ErrInvalidParam(`The field ${req.body.field} is not commentable`)
-        }
-
-        if (document.currentVersion.content.closingDate) {
-          const closingDate = new Date(document.currentVersion.content.closingDate)
-          const nowDate = new Date()
-          if (closingDate < nowDate) {
-            // The document is closed, no more comments allowed
-            throw errors.ErrClosed
-          }
-        }
-        // Field is commentable
-        // Create the body of the new comment
-        let commentBody = {
-          user: req.session.user._id,
-          document: document._id,
-          version: document.currentVersion._id,
-          field: req.body.field,
-          content: req.body.content,
-          decoration: req.body.decoration || null
-        }
-        // Save the comment
-        const newComment = await Comment.create(commentBody)
-        await Document.addComment({ _id: req.params.id })
-        // Return the comment with the ID
-        res.status(status.CREATED).send(newComment)
+        if (!auth.hasRealmRole(req, 'admin')) checkPermission(req, document, policy.ACTIONS.MANAGE)
+        await Document.restore(document._id)
+        audit.track(res, { before: { deleted: true }, after: { deleted: false } })
+        scheduler.reschedule(document._id)
+        res.status(status.OK).json(await Document.get({ _id: document._id }))
       } catch (err) {
         next(err)
       }
-    }
-  )
+    })
 
-router.route('/:id/comments/:idComment/resolve')
+router.route('/:id/purge')
   /**
-       * @api {post} /documents/:idDocument/comments/:idComment/resolve Resolve a comment of a document
-       * @apiName resolveComment
-       * @apiGroup Comments
-       * @apiDescription Resolves a comment of a document. This only sets the value <code>resolved</code> of a comment
-       *
-       * The only one who can do this is the author of the document.
-       *
-       * @apiPermission accountable
-       */
-  .post(
-    auth.keycloak.protect('realm:accountable'),
+   * @api {delete} /documents/:id/purge Purge
+   * @apiName purgeDocument
+   * @apiDescription Removes for good a deleted document and everything it has: versions, comments, likes, votes, subscriptions, notifications, its closure report and its jobs. The purge is done in a transaction when MongoDB supports it (replica sets).
+   * @apiGroup Document
+   * @apiPermission admin
+   * @apiParam {String} id Documents ID.
+   */
+  .delete(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
     async (req, res, next) => {
       try {
-        const { idComment } = req.params
-        const document = await Document.get({ _id: req.params.id })
-        // Check if the user is the author of the document
-        if (!req.session.user._id.equals(document.author._id)) {
-          throw errors.ErrForbidden // User is not the author
-        }
-        // Update the comment
-        const commentResolved = await Comment.resolve({ _id: req.params.idComment })
-        notifier.sendCommentNotification('comment-resolved', idComment)
-        res.status(status.OK).json(commentResolved)
+        const document = await Document.purge(req.params.id)
+        audit.track(res, { before: { deleted: true }, after: null, data: { purged: true } })
+        res.status(status.OK).json({ id: document._id })
       } catch (err) {
         next(err)
       }
-    }
-  )
+    })
 
-router.route('/:id/comments/:idComment/like')
+router.route('/:id/collaborators/:idUser')
   /**
-   * @api {post} /documents/:idDocument/comments/:idComment/like Like a comment of a document
-   * @apiName likeComment
-   * @apiGroup Comments
-   * @apiDescription Likes a comment of a document
-   * @apiPermission accountable
+   * @api {put} /documents/:id/collaborators/:idUser Add a collaborator
+   * @apiName putCollaborator
+   * @apiDescription Adds a user as a collaborator of the document, or changes its role. The roles are:
+   *
+   * - <code>co-author</code>: Can do everything the author does, but managing the collaborators
+   * - <code>editor</code>: Can see and edit the document while it is a draft, and change its versions
+   * - <code>moderator</code>: Can see the document while it is a draft, resolve and moderate its comments
    *
+   * The only one who can do this is the author of the document.
+   * @apiGroup Document
+   * @apiPermission accountable
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} idUser Users ID.
+   * @apiParam {String} role (Body) <code>co-author</code>, <code>editor</code> or <code>moderator</code>
    */
-  .post(
-    auth.keycloak.protect(),
+  .put(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:accountable'),
     async (req, res, next) => {
       try {
-        const userId = req.session.user._id
-        const { idComment } = req.params
-
-        const like = await Like.get({
-          user: userId,
-          comment: idComment
-        })
-
-        if (!like) {
-          const document = await Document.get({ _id: req.params.id })
-          const isTheAuthor = req.session.user ? req.session.user._id.equals(document.author._id) : false
-          const createdLike = await Like.create({
-            user: userId,
-            comment: idComment
-          })
-          if (isTheAuthor) {
-            notifier.sendCommentNotification('comment-liked', idComment)
-          }
-          res.json(createdLike)
-        } else {
-          await Like.remove(like._id)
-          res.json(null)
+        if (!Object.values(policy.ROLES).includes(req.body.role)) throw errors.ErrInvalidParam('role')
+        if (!ObjectId.isValid(req.params.idUser)) throw errors.ErrInvalidParam('idUser')
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
         }
-        res.status(status.OK)
+        checkPermission(req, document, policy.ACTIONS.MANAGE)
+        const user = await User.get({ _id: req.params.idUser })
+        if (!user) throw errors.ErrNotFound('User not found')
+        if (policy.isAuthor(user, document)) throw errors.ErrInvalidParam('idUser')
+        await Document.setCollaborator(document._id, user._id, req.body.role)
+        const updatedDocument = await Document.get({ _id: document._id })
+        audit.track(res, { before: auditCollaborators(document), after: auditCollaborators(updatedDocument) })
+        res.status(status.OK).json(updatedDocument)
       } catch (err) {
         next(err)
       }
-    }
-  )
-
-router.route('/:id/comments/:idComment/reply')
-  .post(
+    })
+  /**
+   * @api {delete} /documents/:id/collaborators/:idUser Remove a collaborator
+   * @apiName deleteCollaborator
+   * @apiDescription Removes a collaborator of the document. The author can remove anyone, and collaborators can leave the document.
+   * @apiGroup Document
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} idUser Users ID.
+   */
+  .delete(
     middlewares.checkId,
-    auth.keycloak.protect('realm:accountable'),
+    auth.keycloak.protect(),
     async (req, res, next) => {
       try {
+        if (!ObjectId.isValid(req.params.idUser)) throw errors.ErrInvalidParam('idUser')
         const document = await Document.get({ _id: req.params.id })
-        // Check if the user is the author of the document
-        if (!req.session.user._id.equals(document.author._id)) {
-          throw errors.ErrForbidden // User is not the author
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
         }
-        // Update the comment
-        const commentUpdated = await Comment.reply({ _id: req.params.idComment }, req.body.reply)
+        if (!req.session.user._id.equals(req.params.idUser)) {
+          checkPermission(req, document, policy.ACTIONS.MANAGE)
+        }
+        await Document.removeCollaborator(document._id, ObjectId(req.params.idUser))
+        const updatedDocument = await Document.get({ _id: document._id })
+        audit.track(res, { before: auditCollaborators(document), after: auditCollaborators(updatedDocument) })
+        res.status(status.OK).json(updatedDocument)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/transitions/:state')
+  /**
+   * @api {post} /documents/:id/transitions/:state Change state
+   * @apiName transitionDocument
+   * @apiDescription Changes the state of a document. The allowed transitions are:
+   *
+   * - <code>draft</code> to <code>in-review</code> or <code>open</code>
+   * - <code>in-review</code> to <code>draft</code> or <code>open</code>
+   * - <code>open</code> to <code>closed</code>
+   * - <code>closed</code> to <code>open</code> or <code>closure-published</code>
+   * - <code>closure-published</code> to <code>archived</code>
+   *
+   * A document can't be opened once its closing date has passed: set a future <code>closingDate</code> first.
+   *
+   * The closure report must be generated before publishing it (<code>closure-published</code>). It is copied into the <code>closure</code> field of the content.
+   *
+   * Only the author of the document and its co-authors can do this.
+   * @apiGroup Document
+   * @apiPermission accountable
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} state The new state of the document.
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        if (!lifecycle.isState(req.params.state)) {
+          throw errors.ErrInvalidParam('state')
+        }
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        // Check if the user can change the state of the document
+        checkPermission(req, document, policy.ACTIONS.PUBLISH)
+        let updatedDocument = null
+        if (req.params.state === lifecycle.STATES.CLOSURE_PUBLISHED) {
+          // The closure report gets published into the content of the document first
+          const closureReport = await ClosureReport.get({ document: document._id })
+          if (!closureReport) throw errors.ErrBadRequest('The closure report was not generated yet')
+          updatedDocument = await ClosureReport.publish(document, closureReport, await CustomForm.getForDocument(document), req.session.user._id)
+        } else {
+          updatedDocument = await Document.transition(req.params.id, req.params.state, req.session.user._id)
+        }
+        audit.track(res, { before: { state: document.state }, after: { state: updatedDocument.state } })
+        scheduler.reschedule(updatedDocument._id)
+        emitDocumentEvents(document, updatedDocument, false)
+        if (updatedDocument.state === lifecycle.STATES.CLOSED) {
+          notifier.sendDocumentNotification('document-closed', updatedDocument._id, { except: req.session.user._id })
+        }
+        res.status(status.OK).json(updatedDocument)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/versions')
+  /**
+   * @api {get} /documents/:id/versions List versions
+   * @apiName getDocumentVersions
+   * @apiDescription Returns a paginated list of the versions of a document, without their content.
+   * @apiGroup DocumentVersion
+   * @apiParam {String} id Documents ID.
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        await getReadableDocument(req)
+        const results = await DocumentVersion.list({ document: req.params.id }, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/versions/:version')
+  /**
+   * @api {get} /documents/:id/versions/:version Get version
+   * @apiName getDocumentVersion
+   * @apiDescription Returns a version of a document, with its content.
+   * @apiGroup DocumentVersion
+   * @apiParam {String} id Documents ID.
+   * @apiParam {Number} version Number of the version.
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        await getReadableDocument(req)
+        const version = await DocumentVersion.get({ document: req.params.id, version: parseVersion(req.params.version, 'version') })
+        if (!version) throw errors.ErrNotFound('Version not found')
+        res.status(status.OK).json(version)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/export')
+  /**
+   * @api {get} /documents/:id/export Export
+   * @apiName exportDocument
+   * @apiDescription Exports the current version of a document, following the order of the blocks and the titles of the fields of its custom form.
+   * @apiGroup Document
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} [format] <code>md</code> (Markdown, default), <code>html</code> (standalone HTML) or <code>akn</code> (Akoma Ntoso XML)
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        await sendExport(req, res, document, document.currentVersion)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/versions/:version/export')
+  /**
+   * @api {get} /documents/:id/versions/:version/export Export version
+   * @apiName exportDocumentVersion
+   * @apiDescription Exports a version of a document. Same as <code>/documents/:id/export</code>.
+   * @apiGroup DocumentVersion
+   * @apiParam {String} id Documents ID.
+   * @apiParam {Number} version Number of the version.
+   * @apiParam {String} [format] <code>md</code> (Markdown, default), <code>html</code> (standalone HTML) or <code>akn</code> (Akoma Ntoso XML)
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        const version = await DocumentVersion.get({ document: req.params.id, version: parseVersion(req.params.version, 'version') })
+        if (!version) throw errors.ErrNotFound('Version not found')
+        await sendExport(req, res, document, version)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/versions/:a/diff/:b')
+  /**
+   * @api {get} /documents/:id/versions/:a/diff/:b Compare versions
+   * @apiName getDocumentVersionsDiff
+   * @apiDescription Compares two versions of a document. Returns the changed fields and, for rich text fields, the diff of their blocks: each one kept (<code>' '</code>), removed (<code>'-'</code>), added (<code>'+'</code>) or changed (<code>'~'</code>, with the diff of its words). Also returns the visible comments that were accepted as contributions between both versions.
+   * @apiGroup DocumentVersion
+   * @apiParam {String} id Documents ID.
+   * @apiParam {Number} a Number of the old version.
+   * @apiParam {Number} b Number of the new version.
+   * @apiSuccess {Object} from The old version
+   * @apiSuccess {Object} to The new version
+   * @apiSuccess {Object} changes The changed fields. Each one has a <code>richText</code> flag and its <code>diff</code>
+   * @apiSuccess {Object[]} contributions The comments that became contributions between both versions
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        const customForm = await CustomForm.getForDocument(document)
+        const diff = await DocumentVersion.diff(document._id, parseVersion(req.params.a, 'a'), parseVersion(req.params.b, 'b'), customForm)
+        res.status(status.OK).json(diff)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/versions/:version/rollback')
+  /**
+   * @api {post} /documents/:id/versions/:version/rollback Rollback
+   * @apiName rollbackDocument
+   * @apiDescription Creates a new version of the document with the content of a previous version, and makes it the current version.
+   *
+   * The unresolved comments of the discarded version are moved to the new version. The contextual comments of the fields that changed get resolved, because their decorations don't belong to the restored text.
+   *
+   * Only the author of the document, its co-authors and editors can do this.
+   * @apiGroup DocumentVersion
+   * @apiPermission accountable
+   * @apiParam {String} id Documents ID.
+   * @apiParam {Number} version Number of the version to rollback to.
+   * @apiSuccess {Object} document The updated document
+   * @apiSuccess {Object} version The new version
+   * @apiSuccess {Object} comments Count of the <code>moved</code> and <code>resolved</code> comments of the discarded version
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        // Check if the user can edit the document
+        checkPermission(req, document, policy.ACTIONS.EDIT)
+        if (!lifecycle.isEditable(document)) {
+          throw errors.ErrNotAuthorized(`The document cannot be edited while it is ${document.state}`)
+        }
+        const customForm = await CustomForm.getForDocument(document)
+        const discardedVersion = document.currentVersion
+        const newVersion = await DocumentVersion.rollback(discardedVersion, parseVersion(req.params.version, 'version'), customForm)
+        // Deal with the comments of the discarded version
+        const changedFields = Object.keys(Object.assign({}, discardedVersion.content, newVersion.content))
+          .filter((field) => utils.getJsonDiffs({ value: discardedVersion.content[field] }, { value: newVersion.content[field] }))
+        const comments = await Comment.moveToVersion(discardedVersion._id, newVersion._id, changedFields)
+        const updatedDocument = await Document.update(req.params.id, { currentVersion: newVersion._id })
+        audit.track(res, {
+          before: { version: discardedVersion.version, content: discardedVersion.content },
+          after: { version: newVersion.version, content: newVersion.content },
+          data: { rollbackFrom: newVersion.rollbackFrom }
+        })
+        // The closing date could have changed
+        if (changedFields.includes('closingDate')) {
+          notifier.setDocumentClosesNotification(updatedDocument.id, newVersion.content.closingDate)
+        }
+        scheduler.reschedule(updatedDocument._id)
+        emitDocumentEvents(document, updatedDocument, true)
+        // Notify the followers
+        if (lifecycle.isPublished(updatedDocument.state)) {
+          notifier.sendDocumentNotification('document-new-version', updatedDocument._id, { except: req.session.user._id })
+          if (changedFields.includes('closingDate')) {
+            notifier.sendDocumentNotification('document-closing-date-changed', updatedDocument._id, { except: req.session.user._id })
+          }
+        }
+        res.status(status.OK).json({
+          document: updatedDocument,
+          version: newVersion,
+          comments: comments
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/custom-form/migration')
+  /**
+   * @api {post} /documents/:id/custom-form/migration Migrate to another version of the custom form
+   * @apiName migrateDocument
+   * @apiDescription Moves a document onto a newer version of its custom form. The fields that were removed from the custom form are dropped, and the fields it doesn't have get the <code>defaults</code>. The content must be valid for the target version.
+   *
+   * It creates a new version of the document. The unresolved comments are moved to it, and the ones on the removed fields get resolved.
+   *
+   * With <code>dryRun</code> nothing is saved: the response tells which fields were added, removed or became required, the migrated content and, if it is not valid, the errors.
+   *
+   * Only the author of the document, its co-authors and editors can do this.
+   * @apiGroup Document
+   * @apiParam {String} id Documents ID.
+   * @apiParam {Number} [version] (Body) The version of the custom form. The current version by default
+   * @apiParam {Object} [defaults] (Body) The values of the fields that the document doesn't have. Ex: <code>{ "budgetImpact": "None" }</code>
+   * @apiParam {Boolean} [dryRun] (Body) If <code>true</code>, only reports what the migration would do
+   * @apiSuccess {Object} changes The fields that were <code>added</code>, <code>removed</code> or became <code>required</code>
+   * @apiSuccess {Boolean} valid If the migrated content is valid for the target version
+   * @apiSuccess {Object[]} errors The validation errors, if it is not valid
+   * @apiSuccess {Object} [version] The new version of the document, if it was migrated
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        // Check if the user can edit the document
+        checkPermission(req, document, policy.ACTIONS.EDIT)
+        if (!lifecycle.isEditable(document)) {
+          throw errors.ErrNotAuthorized(`The document cannot be edited while it is ${document.state}`)
+        }
+        if (req.body.defaults !== undefined && (typeof req.body.defaults !== 'object' || Array.isArray(req.body.defaults))) {
+          throw errors.ErrInvalidParam('defaults')
+        }
+        let target = null
+        if (req.body.version !== undefined) {
+          const version = parseInt(req.body.version, 10)
+          if (isNaN(version)) throw errors.ErrInvalidParam('version')
+          target = await CustomForm.getVersion(document.customForm, version)
+        } else {
+          target = await CustomForm.get({ _id: document.customForm })
+        }
+        if (!target) throw errors.ErrNotFound('Version of the customForm not found')
+        // Documents only move forward
+        if (document.customFormVersion !== null && document.customFormVersion !== undefined && target.version <= document.customFormVersion) {
+          throw errors.ErrInvalidParam('version')
+        }
+        const dryRun = req.body.dryRun === true
+        const report = await formMigration.migrate(document, target, req.body.defaults, { dryRun: dryRun })
+        if (dryRun) return res.status(status.OK).json(report)
+        if (!report.valid) throw errors.ErrInvalidData(report.errors)
+        const updatedDocument = await Document.get({ _id: document._id })
+        audit.track(res, { before: { customFormVersion: report.from }, after: { customFormVersion: report.to }, data: { changes: report.changes } })
+        // The closing date could have a default
+        scheduler.reschedule(updatedDocument._id)
+        webhooks.emit('document-new-version', { document: updatedDocument._id, version: report.version._id })
+        if (lifecycle.isPublished(updatedDocument.state)) {
+          notifier.sendDocumentNotification('document-new-version', updatedDocument._id, { except: req.session.user._id })
+        }
+        res.status(status.OK).json(Object.assign(report, { document: updatedDocument }))
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/closure-report')
+  /**
+   * @api {get} /documents/:id/closure-report Get closure report
+   * @apiName getClosureReport
+   * @apiDescription Returns the closure report of a document, as JSON or, with <code>format=html</code>, as a downloadable HTML document ready to be printed as PDF.
+   * @apiGroup Document
+   * @apiParam {String} id Documents ID.
+   * @apiParam {String} [format] <code>json</code> (default) or <code>html</code>
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        const report = await ClosureReport.get({ document: document._id })
+        if (!report) throw errors.ErrNotFound('The closure report was not generated yet')
+        if (req.query.format === 'html') {
+          const community = await Community.get()
+          res.set('Content-Disposition', `attachment; filename="closure-report-${document._id}.html"`)
+          res.status(status.OK).type('html').send(html.closureReport(report, community))
+        } else {
+          res.status(status.OK).json(report)
+        }
+      } catch (err) {
+        next(err)
+      }
+    })
+  /**
+   * @api {post} /documents/:id/closure-report Generate closure report
+   * @apiName postClosureReport
+   * @apiDescription Builds the closure report of a closed document and stores it, replacing the previous one. The report has the participation stats, the comments per field and per article, the most liked comments, the contributors and the version timeline.
+   *
+   * Only the author of the document and its co-authors can do this.
+   * @apiGroup Document
+   * @apiPermission accountable
+   * @apiParam {String} id Documents ID.
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        // Check if the user can publish the closure report of the document
+        checkPermission(req, document, policy.ACTIONS.PUBLISH)
+        if (!lifecycle.isClosed(document)) {
+          throw errors.ErrNotAuthorized('The document is not closed yet')
+        }
+        const customForm = await CustomForm.getForDocument(document)
+        const data = await ClosureReport.build(document, customForm)
+        const report = await ClosureReport.save(document, data, req.session.user._id)
+        audit.track(res, { after: { closureReport: report._id, version: report.version } })
+        res.status(status.CREATED).json(report)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/subscription')
+  /**
+   * @api {get} /documents/:id/subscription Get the subscription to a document
+   * @apiName getSubscription
+   * @apiGroup Subscriptions
+   * @apiDescription Returns the subscription of the logged user to the document, or <code>null</code> if the user doesn't follow it.
+   * @apiPermission accountable
+   */
+  .get(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        const subscription = await Subscription.get({ document: document._id, user: req.session.user._id })
+        res.status(status.OK).json(subscription)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+  /**
+   * @api {post} /documents/:id/subscription Follow a document
+   * @apiName subscribe
+   * @apiGroup Subscriptions
+   * @apiDescription The followers of a document are notified when a new version is published, when the closing date changes, when the document closes and when the author replies a comment.
+   * @apiPermission accountable
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        const subscription = await Subscription.subscribe(document._id, req.session.user._id)
+        audit.track(res, { after: { following: true } })
+        res.status(status.OK).json(subscription)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+  /**
+   * @api {delete} /documents/:id/subscription Stop following a document
+   * @apiName unsubscribe
+   * @apiGroup Subscriptions
+   * @apiPermission accountable
+   */
+  .delete(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        await Subscription.unsubscribe(req.params.id, req.session.user._id)
+        audit.track(res, { after: { following: false } })
+        res.status(status.OK).json({ id: req.params.id })
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/votes')
+  /**
+   * @api {get} /documents/:id/votes Get the votes on a document
+   * @apiName getVotes
+   * @apiGroup Votes
+   * @apiDescription Returns the results of the votes on the document and on each of its articles, and the votes of the logged user.
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        let payload = await Vote.results(document._id)
+        if (req.session.user) {
+          payload.userVotes = await Vote.getAll({ document: document._id, user: req.session.user._id })
+        }
+        res.status(status.OK).json(payload)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+  /**
+   * @api {post} /documents/:id/votes Vote on a document
+   * @apiName voteDocument
+   * @apiGroup Votes
+   * @apiDescription Votes on the document, or on one of its articles. The user can change the vote while the document is open.
+   * @apiPermission accountable
+   * @apiParam {String} value <code>support</code>, <code>oppose</code> or <code>abstain</code>
+   * @apiParam {Number} [article] The number of the article of the field <code>articles</code>. Without it, the vote is on the whole document.
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        if (!lifecycle.isOpen(document)) throw errors.ErrClosed
+        if (!Vote.VALUES.includes(req.body.value)) throw errors.ErrInvalidParam('value')
+        const article = parseArticle(document, req.body.article)
+        const previousVote = await getVote(document, req.session.user._id, article)
+        const vote = await Vote.cast(document._id, req.session.user._id, article, req.body.value)
+        audit.track(res, { before: { vote: previousVote }, after: { vote: vote.value }, data: { article: article } })
+        res.status(status.OK).json(vote)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+  /**
+   * @api {delete} /documents/:id/votes Take back a vote
+   * @apiName removeVote
+   * @apiGroup Votes
+   * @apiDescription Takes back the vote of the user on the document, or on one of its articles, while the document is open.
+   * @apiPermission accountable
+   * @apiParam {Number} [article] The number of the article. Without it, the vote on the whole document is taken back.
+   */
+  .delete(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        if (!lifecycle.isOpen(document)) throw errors.ErrClosed
+        const article = parseArticle(document, req.query.article)
+        const previousVote = await getVote(document, req.session.user._id, article)
+        await Vote.remove(document._id, req.session.user._id, article)
+        audit.track(res, { before: { vote: previousVote }, after: { vote: null }, data: { article: article } })
+        res.status(status.OK).json({ id: document._id })
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments')
+  /**
+     * @api {get} /documents/:idDocument/comments List comments
+     * @apiName getSomeComments
+     * @apiGroup Comments
+     * @apiDescription Returns a paginated list of the comments of a document. Each comment comes with the count of each type of reaction (<code>reactions</code>), the count of <code>likes</code> (supports) and, if the user is logged in, its <code>userReactions</code> and <code>isLiked</code>.
+     * @apiParam {ObjectID(s)} [ids] A list of ObjectIds, separated by comma. Ex: <code>ids=commentI21,commentId2,commentId3</code>
+     * @apiParam {String} [field] The name of the field that the comments belongs to. Unless <code>resolved</code> is set, only brings the unresolved comments of the field.
+     * @apiParam {ObjectID} [user] Only the comments of this user
+     * @apiParam {Number} [version] Only the comments made on this version of the document
+     * @apiParam {Boolean} [resolved] Only resolved (<code>true</code>) or unresolved (<code>false</code>) comments
+     * @apiParam {String} [sort] <code>oldest</code> (default), <code>newest</code>, <code>liked</code> (most liked first) or <code>unresolved</code> (unresolved first)
+     * @apiParam {Boolean} [threads] If <code>true</code>, each comment comes with its <code>replies</code>. Replies are not listed as comments, unless they are asked by their ids.
+     */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        // Deleted documents, and drafts of others, have no comments to list
+        const document = await getReadableDocument(req)
+        // Prepare query
+        let query = {
+          document: document._id,
+          deleted: { $ne: true },
+          hidden: { $ne: true }
+        }
+        // If there is a "ids" querystring.. add it
+        if (req.query.ids) {
+          const idsToArray = req.query.ids.split(',')
+          if (!idsToArray.every((id) => ObjectId.isValid(id))) throw errors.ErrInvalidParam('ids')
+          let idsArray = idsToArray.map((id) => {
+            return ObjectId(id)
+          })
+          query._id = { $in: idsArray }
+        } else {
+          // Replies are listed inside their comments
+          query.parent = null
+        }
+        // If there is a "field" querystring.. add it
+        if (req.query.field) {
+          query.field = req.query.field
+          query.resolved = false
+        }
+        if (req.query.resolved !== undefined) {
+          query.resolved = req.query.resolved === 'true'
+        }
+        if (req.query.user) {
+          if (!ObjectId.isValid(req.query.user)) throw errors.ErrInvalidParam('user')
+          query.user = ObjectId(req.query.user)
+        }
+        if (req.query.version) {
+          const version = await DocumentVersion.get({ document: req.params.id, version: parseVersion(req.query.version, 'version') })
+          if (!version) throw errors.ErrInvalidParam('version')
+          query.version = version._id
+        }
+        if (req.query.sort && !Comment.SORTS.includes(req.query.sort)) {
+          throw errors.ErrInvalidParam('sort')
+        }
+        const user = req.session.user ? req.session.user._id : null
+        const results = await Comment.list(query, {
+          limit: req.query.limit,
+          page: req.query.page,
+          sort: req.query.sort,
+          user: user
+        })
+        let comments = results.docs
+        if (req.query.threads === 'true') {
+          const replies = await Comment.listReplies({
+            parent: { $in: comments.map((comment) => comment._id) },
+            deleted: { $ne: true },
+            hidden: { $ne: true }
+          }, { user: user })
+          comments = comments.map((comment) => {
+            return { ...comment, replies: replies.filter((reply) => reply.parent.equals(comment._id)) }
+          })
+        }
+        res.status(status.OK).json({
+          results: comments,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+  /**
+   * @api {post} /documents/:id/:field/comments Create
+   * @apiName createComment
+   * @apiGroup Comments
+   * @apiDescription Creates a comment on a specific field of a document.
+   * @apiPermission authenticated
+   * @apiParam {string} field (Body) The field of the document where the comment is being made
+   * @apiParam {Number} comment (Body) The field of the document where the comment is being made
+   * @apiExample {json} POST body
+   * {
+   *  "field": "authorName",
+   *  "comment": "Nullam sit amet ipsum id metus porta rutrum in vel nibh. Sed efficitur quam urna, eget imperdiet libero ornare."
+   * }
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        req.body.user = req.session.user._id // Set the user
+        req.body.document = req.params.id // Set the document
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          // Document not found
+          throw errors.ErrNotFound('Document not found')
+        }
+        // Document Found
+        // Get the customForm
+        const customForm = await CustomForm.getForDocument(document)
+        if (!customForm.fields.allowComments.find((x) => { return x === req.body.field })) {
+          // If the field is not inside the "allowComments" array, throw error
+          throw errors.ErrInvalidParam(`The field ${req.body.field} is not commentable`)
+        }
+        checkNotBanned(req, document)
+
+        if (!lifecycle.isOpen(document)) {
+          // The document is not open, no more comments allowed
+          throw errors.ErrClosed
+        }
+        // Field is commentable
+        // Create the body of the new comment
+        let commentBody = {
+          user: req.session.user._id,
+          document: document._id,
+          version: document.currentVersion._id,
+          field: req.body.field,
+          content: req.body.content,
+          decoration: req.body.decoration || null
+        }
+        // Save the comment
+        const newComment = await Comment.create(commentBody)
+        await Document.addComment({ _id: req.params.id })
+        audit.track(res, { after: { field: newComment.field, content: newComment.content }, targetType: 'comment', target: newComment._id })
+        webhooks.emit('comment-created', { document: document._id, comment: newComment._id, field: newComment.field, user: newComment.user })
+        // Return the comment with the ID
+        res.status(status.CREATED).send(newComment)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+// Get a comment of the document of the request, that the user wrote
+const getOwnComment = async (req) => {
+  if (!ObjectId.isValid(req.params.idComment)) throw errors.ErrNotFound('Comment not found')
+  const comment = await Comment.get({ _id: req.params.idComment, document: req.params.id, deleted: { $ne: true } })
+  if (!comment) throw errors.ErrNotFound('Comment not found')
+  if (!comment.user || !req.session.user._id.equals(comment.user._id)) {
+    throw errors.ErrForbidden // User is not the author of the comment
+  }
+  return comment
+}
+
+router.route('/:id/comments/:idComment')
+  /**
+   * @api {patch} /documents/:idDocument/comments/:idComment Edit a comment
+   * @apiName editComment
+   * @apiGroup Comments
+   * @apiDescription Edits the content of a comment. The previous content is kept in the history of the comment. Only while the document is open.
+   *
+   * The only one who can do this is the author of the comment.
+   * @apiPermission authenticated
+   * @apiParam {String} content (Body) The new content of the comment
+   */
+  .patch(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        if (typeof req.body.content !== 'string' || !req.body.content.trim()) {
+          throw errors.ErrMissingParam('content')
+        }
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        if (!lifecycle.isOpen(document)) {
+          // The document is not open, comments can't be edited
+          throw errors.ErrClosed
+        }
+        const comment = await getOwnComment(req)
+        const commentUpdated = await Comment.edit({ _id: req.params.idComment }, req.body.content)
+        audit.track(res, { before: { content: comment.content }, after: { content: commentUpdated.content } })
+        res.status(status.OK).json(commentUpdated)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+  /**
+   * @api {delete} /documents/:idDocument/comments/:idComment Delete a comment
+   * @apiName deleteComment
+   * @apiGroup Comments
+   * @apiDescription Deletes a comment. It's a soft delete: the comment is not listed anymore, but admins can still see its history.
+   *
+   * The only one who can do this is the author of the comment.
+   * @apiPermission authenticated
+   */
+  .delete(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const comment = await getOwnComment(req)
+        await Comment.remove({ _id: req.params.idComment })
+        audit.track(res, { before: { deleted: false }, after: { deleted: true } })
+        // Hidden comments were already left out of the counters
+        if (!comment.hidden) await updateCommentsCount(comment, false)
+        res.status(status.OK).json({ id: req.params.idComment })
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments/:idComment/history')
+  /**
+   * @api {get} /documents/:idDocument/comments/:idComment/history Get the history of a comment
+   * @apiName getCommentHistory
+   * @apiGroup Comments
+   * @apiDescription Returns a comment, deleted or not, with the previous contents it had.
+   * @apiPermission admin
+   */
+  .get(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        if (!ObjectId.isValid(req.params.idComment)) throw errors.ErrNotFound('Comment not found')
+        const comment = await Comment.get({ _id: req.params.idComment, document: req.params.id }, true).select('+history')
+        if (!comment) throw errors.ErrNotFound('Comment not found')
+        res.status(status.OK).json(comment)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/moderation')
+  /**
+   * @api {get} /documents/:id/moderation Moderation queue of a document
+   * @apiName getDocumentModerationQueue
+   * @apiGroup Moderation
+   * @apiDescription Returns a paginated list of the flagged comments of a document, most flagged first, and the users banned from commenting on it.
+   *
+   * Only admins, the author of the document, its co-authors and moderators can do this.
+   * @apiPermission authenticated
+   * @apiParam {Boolean} [hidden] Only hidden (<code>true</code>) or visible (<code>false</code>) comments
+   */
+  .get(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        if (!isModerator(req, document)) {
+          throw errors.ErrForbidden
+        }
+        let query = { document: document._id }
+        if (req.query.hidden !== undefined) query.hidden = req.query.hidden === 'true'
+        const results = await Comment.listFlagged(query, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          bannedUsers: document.bannedUsers,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/comments/:idComment/flag')
+  /**
+   * @api {post} /documents/:idDocument/comments/:idComment/flag Flag a comment
+   * @apiName flagComment
+   * @apiGroup Moderation
+   * @apiDescription Reports a comment to the moderators. A user can flag a comment only once, flagging it again changes the reason.
+   * @apiPermission authenticated
+   * @apiParam {String} reason (Body) Why the comment should be moderated
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        if (typeof req.body.reason !== 'string' || !req.body.reason.trim()) {
+          throw errors.ErrMissingParam('reason')
+        }
+        // Only the comments of published documents reach the moderators
+        const document = await Document.get({ _id: req.params.id })
+        if (!document || !lifecycle.isPublished(document.state)) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        if (!ObjectId.isValid(req.params.idComment)) throw errors.ErrNotFound('Comment not found')
+        const comment = await Comment.flag({ _id: req.params.idComment, document: document._id, deleted: { $ne: true } }, req.session.user._id, req.body.reason)
+        audit.track(res, { after: { flagsCount: comment.flagsCount }, data: { reason: req.body.reason } })
+        res.status(status.OK).json({ id: comment._id, flagsCount: comment.flagsCount })
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments/:idComment/moderation/:action')
+  /**
+   * @api {post} /documents/:idDocument/comments/:idComment/moderation/:action Moderate a comment
+   * @apiName moderateComment
+   * @apiGroup Moderation
+   * @apiDescription Applies a moderation action to a comment:
+   *
+   * - <code>hide</code>: The comment is not listed, counted as contribution nor notified anymore
+   * - <code>restore</code>: The comment is visible again
+   * - <code>ban</code>: Hides the comment and bans its author from commenting on this document
+   * - <code>unban</code>: Allows the author of the comment to comment on this document again
+   * - <code>delete</code>: Deletes the comment (soft delete)
+   *
+   * Only admins, the author of the document, its co-authors and moderators can do this.
+   * @apiPermission authenticated
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const { action, idComment } = req.params
+        if (!['hide', 'restore', 'ban', 'unban', 'delete'].includes(action)) {
+          throw errors.ErrInvalidParam('action')
+        }
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        if (!isModerator(req, document)) {
+          throw errors.ErrForbidden
+        }
+        if (!ObjectId.isValid(idComment)) throw errors.ErrNotFound('Comment not found')
+        const comment = await Comment.get({ _id: idComment, document: document._id, deleted: { $ne: true } })
+        if (!comment) throw errors.ErrNotFound('Comment not found')
+        const query = { _id: comment._id }
+        let commentModerated = null
+        switch (action) {
+          case 'hide':
+            commentModerated = await Comment.setHidden(query, true, req.session.user._id)
+            if (!comment.hidden) await updateCommentsCount(comment, false)
+            break
+          case 'restore':
+            commentModerated = await Comment.setHidden(query, false, req.session.user._id)
+            if (comment.hidden) await updateCommentsCount(comment, true)
+            break
+          case 'ban':
+            await Document.banUser(document._id, comment.user._id)
+            commentModerated = await Comment.setHidden(query, true, req.session.user._id)
+            if (!comment.hidden) await updateCommentsCount(comment, false)
+            break
+          case 'unban':
+            await Document.unbanUser(document._id, comment.user._id)
+            commentModerated = comment
+            break
+          case 'delete':
+            commentModerated = await Comment.remove(query)
+            if (!comment.hidden) await updateCommentsCount(comment, false)
+            break
+        }
+        const banned = !!comment.user && (document.bannedUsers || []).some((user) => user.equals(comment.user._id))
+        audit.track(res, {
+          before: { hidden: !!comment.hidden, deleted: !!comment.deleted, banned: banned },
+          after: {
+            hidden: !!commentModerated.hidden,
+            deleted: !!commentModerated.deleted,
+            banned: action === 'ban' || (action !== 'unban' && banned)
+          }
+        })
+        res.status(status.OK).json(commentModerated)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments/:idComment/resolve')
+  /**
+       * @api {post} /documents/:idDocument/comments/:idComment/resolve Resolve a comment of a document
+       * @apiName resolveComment
+       * @apiGroup Comments
+       * @apiDescription Resolves a comment of a document. This only sets the value <code>resolved</code> of a comment
+       *
+       * Only the author of the document, its co-authors and moderators can do this.
+       *
+       * @apiPermission accountable
+       */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const { idComment } = req.params
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        // Check if the user can resolve the comments of the document
+        checkPermission(req, document, policy.ACTIONS.RESOLVE)
+        // Update the comment
+        if (!ObjectId.isValid(idComment)) throw errors.ErrNotFound('Comment not found')
+        const comment = await Comment.get({ _id: idComment, document: document._id })
+        if (!comment) throw errors.ErrNotFound('Comment not found')
+        const commentResolved = await Comment.resolve({ _id: comment._id })
+        audit.track(res, { before: { resolved: comment.resolved }, after: { resolved: true } })
+        if (!commentResolved.hidden) {
+          notifier.sendCommentNotification('comment-resolved', idComment)
+        }
+        webhooks.emit('comment-resolved', { document: document._id, comment: commentResolved._id })
+        res.status(status.OK).json(commentResolved)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments/:idComment/like')
+  /**
+   * @api {post} /documents/:idDocument/comments/:idComment/like Like a comment of a document
+   * @apiName likeComment
+   * @apiGroup Comments
+   * @apiDescription Likes a comment of a document, or takes the like back. A like is a <code>support</code> reaction
+   * @apiPermission accountable
+   *
+   */
+  .post(
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        res.status(status.OK).json(await react(req, res, 'support'))
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments/:idComment/reactions/:type')
+  /**
+   * @api {post} /documents/:idDocument/comments/:idComment/reactions/:type React to a comment of a document
+   * @apiName reactToComment
+   * @apiGroup Comments
+   * @apiDescription Adds a reaction of the user to a comment, or takes it back if it was already there. The user can react with more than one type. Returns the reaction, or <code>null</code> if it was taken back
+   * @apiParam {String} type <code>agree</code>, <code>disagree</code>, <code>clarify</code> or <code>support</code>
+   * @apiPermission accountable
+   */
+  .post(
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        if (!Like.REACTIONS.includes(req.params.type)) throw errors.ErrInvalidParam('type')
+        res.status(status.OK).json(await react(req, res, req.params.type))
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/reactions')
+  /**
+   * @api {get} /documents/:idDocument/reactions Get the reactions to the comments of a document
+   * @apiName getReactions
+   * @apiGroup Comments
+   * @apiDescription Returns the count of each type of reaction in the document (<code>total</code>), per comment (<code>comments</code>) and per article (<code>articles</code>). Only the visible comments are counted
+   */
+  .get(
+    middlewares.checkId,
+    async (req, res, next) => {
+      try {
+        const document = await getReadableDocument(req)
+        res.status(status.OK).json(await Like.distribution(document._id))
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments/:idComment/replies')
+  /**
+   * @api {post} /documents/:idDocument/comments/:idComment/replies Reply a comment
+   * @apiName createReply
+   * @apiGroup Comments
+   * @apiDescription Creates a reply of a comment. Replies are comments too: they can be liked, edited and deleted. The replies of the author of the document are flagged as <code>official</code>.
+   *
+   * Threads have only one level: replying a reply answers its comment.
+   * @apiPermission authenticated
+   * @apiParam {String} content (Body) The content of the reply
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        if (typeof req.body.content !== 'string' || !req.body.content.trim()) {
+          throw errors.ErrMissingParam('content')
+        }
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        if (!lifecycle.isOpen(document)) {
+          // The document is not open, no more replies allowed
+          throw errors.ErrClosed
+        }
+        checkNotBanned(req, document)
+        if (!ObjectId.isValid(req.params.idComment)) throw errors.ErrNotFound('Comment not found')
+        let parent = await Comment.get({ _id: req.params.idComment, document: req.params.id, deleted: { $ne: true }, hidden: { $ne: true } })
+        if (parent && parent.parent) {
+          parent = await Comment.get({ _id: parent.parent, deleted: { $ne: true }, hidden: { $ne: true } })
+        }
+        if (!parent) throw errors.ErrNotFound('Comment not found')
+        const newReply = await Comment.createReply(parent, {
+          user: req.session.user._id,
+          version: document.currentVersion._id,
+          content: req.body.content,
+          official: policy.can(req.session.user, document, policy.ACTIONS.REPLY)
+        })
+        audit.track(res, { after: { content: newReply.content, official: newReply.official }, target: newReply._id, data: { parent: parent._id } })
+        webhooks.emit('comment-replied', { document: document._id, comment: parent._id, reply: newReply._id, official: newReply.official })
+        if (newReply.official) {
+          notifier.sendDocumentNotification('document-author-reply', document._id, { comment: newReply._id, except: req.session.user._id })
+        }
+        res.status(status.CREATED).json(newReply)
+      } catch (err) {
+        next(err)
+      }
+    }
+  )
+
+router.route('/:id/comments/:idComment/reply')
+  /**
+   * @api {post} /documents/:idDocument/comments/:idComment/reply Official reply of a comment
+   * @apiName replyComment
+   * @apiGroup Comments
+   * @apiDescription Sets the official reply of the author of the document to a comment. Kept for compatibility: it also creates an <code>official</code> reply in the thread of the comment.
+   *
+   * Only the author of the document and its co-authors can do this.
+   * @apiPermission accountable
+   * @apiParam {String} reply (Body) The content of the reply
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const document = await Document.get({ _id: req.params.id })
+        if (!document) {
+          throw errors.ErrNotFound('Document not found')
+        }
+        // Check if the user can reply the comments of the document
+        checkPermission(req, document, policy.ACTIONS.REPLY)
+        // Update the comment
+        if (!ObjectId.isValid(req.params.idComment)) throw errors.ErrNotFound('Comment not found')
+        const comment = await Comment.get({ _id: req.params.idComment, document: document._id })
+        if (!comment) throw errors.ErrNotFound('Comment not found')
+        const commentUpdated = await Comment.reply({ _id: comment._id }, req.body.reply)
+        audit.track(res, { before: { reply: comment.reply || null }, after: { reply: commentUpdated.reply } })
+        const newReply = await Comment.createReply(commentUpdated, {
+          user: req.session.user._id,
+          version: document.currentVersion._id,
+          content: req.body.reply,
+          official: true
+        })
+        notifier.sendDocumentNotification('document-author-reply', document._id, { comment: newReply._id, except: req.session.user._id })
+        webhooks.emit('comment-replied', { document: document._id, comment: commentUpdated._id, reply: newReply._id, official: true })
         res.status(status.OK).json(commentUpdated)
       } catch (err) {
         next(err)
@@ -3,6 +3,7 @@ const express = require('express')
 const paginate = require('express-paginate')
 const auth = require('../services/auth')
 const middlewares = require('../services/middlewares')
+const audit = require('../services/audit')
 // const status = require('http-status')
 // Utils
 const log = require('../services/logger')
@@ -18,7 +19,8 @@ const { NODE_ENV } = process.env
 router.use(
   middlewares.addPaginationParams,
   paginate.middleware(10, 50),
-  middlewares.bindUserToSession
+  middlewares.bindUserToSession,
+  audit.middleware
 )
 
 // ===============================
@@ -29,6 +31,10 @@ routerV1.use('/community', require('../api/community'))
 routerV1.use('/custom-forms', require('../api/customForm'))
 routerV1.use('/documents', require('../api/document'))
 routerV1.use('/users', require('../api/user'))
+routerV1.use('/outbox', require('../api/outbox'))
+routerV1.use('/webhooks', require('../api/webhook'))
+routerV1.use('/admin/documents', require('../api/adminDocument'))
+routerV1.use('/audit', require('../api/audit'))
 
 // ===============================
 // Resource services
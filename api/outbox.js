@@ -0,0 +1,118 @@
+const express = require('express')
+const status = require('http-status')
+const Outbox = require('../db-api/outbox')
+const auth = require('../services/auth')
+const errors = require('../services/errors')
+const audit = require('../services/audit')
+const middlewares = require('../services/middlewares')
+const router = express.Router()
+
+const STATUSES = ['pending', 'processing', 'delivered', 'failed']
+
+router.route('/')
+  /**
+   * @api {get} /outbox List the outgoing messages
+   * @apiName getOutbox
+   * @apiGroup Outbox
+   * @apiDescription Lists the messages of the outbox, the newest first. Messages are retried with an exponential backoff, and <code>failed</code> after too many attempts.
+   * @apiPermission admin
+   * @apiParam {String} [status] <code>pending</code>, <code>processing</code>, <code>delivered</code> or <code>failed</code>
+   * @apiParam {String} [channel] The channel of the messages, like <code>notifier</code>
+   */
+  .get(
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        let query = {}
+        if (req.query.status) {
+          if (!STATUSES.includes(req.query.status)) throw errors.ErrInvalidParam('status')
+          query.status = req.query.status
+        }
+        if (req.query.channel) query.channel = req.query.channel
+        const results = await Outbox.list(query, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/replay')
+  /**
+   * @api {post} /outbox/replay Replay the failed messages
+   * @apiName replayOutbox
+   * @apiGroup Outbox
+   * @apiDescription Delivers again all the failed messages, or the ones of a channel.
+   * @apiPermission admin
+   * @apiParam {String} [channel] The channel of the messages
+   */
+  .post(
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const query = req.query.channel ? { channel: req.query.channel } : {}
+        const result = await Outbox.replayAll(query)
+        audit.track(res, { before: { status: 'failed' }, after: { status: 'pending' }, data: { channel: req.query.channel || null, replayed: result.nModified } })
+        res.status(status.OK).json({ replayed: result.nModified })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id')
+  /**
+   * @api {get} /outbox/:id Get an outgoing message
+   * @apiName getOutboxEvent
+   * @apiGroup Outbox
+   * @apiPermission admin
+   * @apiParam {String} id Message ID.
+   */
+  .get(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const event = await Outbox.get({ _id: req.params.id })
+        if (!event) throw errors.ErrNotFound('Event not found')
+        res.status(status.OK).json(event)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/replay')
+  /**
+   * @api {post} /outbox/:id/replay Replay a failed message
+   * @apiName replayOutboxEvent
+   * @apiGroup Outbox
+   * @apiPermission admin
+   * @apiParam {String} id Message ID.
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const previous = await Outbox.get({ _id: req.params.id })
+        if (!previous) throw errors.ErrNotFound('Event not found')
+        const event = await Outbox.replay(req.params.id)
+        audit.track(res, {
+          before: { status: previous.status, attempts: previous.attempts },
+          after: { status: event.status, attempts: event.attempts }
+        })
+        res.status(status.OK).json(event)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+module.exports = router
@@ -2,8 +2,11 @@ const status = require('http-status')
 const express = require('express')
 const router = express.Router()
 const User = require('../db-api/user')
+const Subscription = require('../db-api/subscription')
+const Notification = require('../db-api/notification')
 const auth = require('../services/auth')
 const middlewares = require('../services/middlewares')
+const audit = require('../services/audit')
 
 router.route('/')
 /**
@@ -41,7 +44,9 @@ router.route('/')
     auth.keycloak.protect(),
     async (req, res, next) => {
       try {
+        const before = await User.get({ _id: req.session.user._id })
         const updatedUser = await User.update(req.session.user._id, req.body)
+        audit.track(res, { before: before, after: updatedUser, target: req.session.user._id })
         res.status(status.OK).json(updatedUser)
       } catch (err) {
         next(err)
@@ -66,6 +71,104 @@ router.route('/me')
       }
     })
 
+router.route('/me/subscriptions')
+/**
+ * @api {get} /users/me/subscriptions List the documents that the logged user follows
+ * @apiName getMySubscriptions
+ * @apiGroup Subscriptions
+ */
+  .get(
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const results = await Subscription.list({ user: req.session.user._id }, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/me/notifications')
+/**
+ * @api {get} /users/me/notifications List the notifications of the logged user
+ * @apiName getMyNotifications
+ * @apiGroup Notifications
+ * @apiDescription Returns the notifications of the logged user, the newest first, with the count of the unread ones.
+ * @apiParam {Boolean} [unread] If <code>true</code>, only the unread notifications
+ */
+  .get(
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        let query = { user: req.session.user._id }
+        if (req.query.unread === 'true') query.read = false
+        const results = await Notification.list(query, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          unreadCount: await Notification.countUnread(req.session.user._id),
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/me/notifications/read')
+/**
+ * @api {post} /users/me/notifications/read Mark all the notifications as read
+ * @apiName readAllNotifications
+ * @apiGroup Notifications
+ */
+  .post(
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const result = await Notification.markAllRead(req.session.user._id)
+        audit.track(res, { after: { read: true }, targetType: 'notification', data: { marked: result.nModified } })
+        res.status(status.OK).json({ unreadCount: 0 })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/me/notifications/:id/read')
+/**
+ * @api {post} /users/me/notifications/:id/read Mark a notification as read
+ * @apiName readNotification
+ * @apiGroup Notifications
+ *
+ * @apiParam {String} id Notification ID.
+ */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect(),
+    async (req, res, next) => {
+      try {
+        const notification = await Notification.markRead({ _id: req.params.id, user: req.session.user._id })
+        audit.track(res, { after: { read: true }, targetType: 'notification' })
+        res.status(status.OK).json(notification)
+      } catch (err) {
+        next(err)
+      }
+    })
+
 router.route('/:id/avatar')
 /**
    * @api {get} /users/:id Gets a user
@@ -124,7 +227,8 @@ router.route('/:id')
     async (req, res, next) => {
       try {
         // TODO
-        User.remove(req.params.id)
+        const user = await User.remove(req.params.id)
+        audit.track(res, { before: user, after: null })
         res.status(status.OK).json({ id: req.params.id })
       } catch (err) {
         next(err)
@@ -0,0 +1,230 @@
+const express = require('express')
+const status = require('http-status')
+const Webhook = require('../db-api/webhook')
+const Outbox = require('../db-api/outbox')
+const auth = require('../services/auth')
+const errors = require('../services/errors')
+const audit = require('../services/audit')
+const middlewares = require('../services/middlewares')
+const webhooks = require('../services/webhooks')
+const router = express.Router()
+
+// The data of a webhook that the audit compares before and after a change. The secret is left out
+const auditSnapshot = (webhook) => ({
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  active: webhook.active
+})
+
+// Check the url of a webhook
+const checkUrl = (url) => {
+  if (url === undefined) return
+  if (typeof url !== 'string' || !/^https?:\/\/\S+$/.test(url)) throw errors.ErrInvalidParam('url')
+}
+
+// Check the events of a webhook
+const checkEvents = (events) => {
+  if (events === undefined) return
+  if (!Array.isArray(events) || !events.length || !events.every((event) => Webhook.EVENTS.includes(event))) {
+    throw errors.ErrInvalidParam('events')
+  }
+}
+
+router.route('/')
+  /**
+   * @api {get} /webhooks List webhooks
+   * @apiName getWebhooks
+   * @apiGroup Webhooks
+   * @apiPermission admin
+   */
+  .get(
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const results = await Webhook.list({}, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+  /**
+   * @api {post} /webhooks Create a webhook
+   * @apiName postWebhook
+   * @apiGroup Webhooks
+   * @apiDescription Creates a webhook that receives the events of the platform as a POST with a JSON body: <code>{ event, data, createdAt }</code>.
+   *
+   * Each request has the headers <code>X-Leyesabiertas-Event</code>, <code>X-Leyesabiertas-Delivery</code> and <code>X-Leyesabiertas-Signature</code>, the HMAC SHA-256 of the body with the secret of the webhook, as <code>sha256=hexdigest</code>. Failed deliveries are retried.
+   *
+   * The secret is only returned on creation.
+   * @apiPermission admin
+   * @apiParam {String} url The URL that receives the events
+   * @apiParam {String} [secret] The secret that signs the payloads. If not sent, a random one is generated
+   * @apiParam {String[]} [events] The events to receive: <code>document-created</code>, <code>document-published</code>, <code>document-new-version</code>, <code>document-closed</code>, <code>comment-created</code>, <code>comment-resolved</code>, <code>comment-replied</code> and <code>comment-liked</code>. All of them by default
+   * @apiParam {String} [description] A description of the integration
+   */
+  .post(
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        if (!req.body.url) throw errors.ErrMissingParam('url')
+        checkUrl(req.body.url)
+        checkEvents(req.body.events)
+        const webhook = await Webhook.create({
+          url: req.body.url,
+          secret: req.body.secret,
+          events: req.body.events,
+          description: req.body.description,
+          user: req.session.user._id
+        })
+        audit.track(res, { after: auditSnapshot(webhook), target: webhook._id })
+        res.status(status.CREATED).json(webhook)
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id')
+  /**
+   * @api {get} /webhooks/:id Get a webhook
+   * @apiName getWebhook
+   * @apiGroup Webhooks
+   * @apiPermission admin
+   * @apiParam {String} id Webhook ID.
+   */
+  .get(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const webhook = await Webhook.get({ _id: req.params.id })
+        if (!webhook) throw errors.ErrNotFound('Webhook not found')
+        res.status(status.OK).json(webhook)
+      } catch (err) {
+        next(err)
+      }
+    })
+  /**
+   * @api {put} /webhooks/:id Update a webhook
+   * @apiName putWebhook
+   * @apiGroup Webhooks
+   * @apiDescription Changes the <code>url</code>, <code>secret</code>, <code>events</code>, <code>description</code> or <code>active</code> of a webhook.
+   * @apiPermission admin
+   * @apiParam {String} id Webhook ID.
+   */
+  .put(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        checkUrl(req.body.url)
+        checkEvents(req.body.events)
+        const previous = await Webhook.get({ _id: req.params.id })
+        if (!previous) throw errors.ErrNotFound('Webhook not found')
+        const webhook = await Webhook.update(req.params.id, req.body)
+        audit.track(res, { before: auditSnapshot(previous), after: auditSnapshot(webhook), data: { secretChanged: req.body.secret !== undefined } })
+        res.status(status.OK).json(webhook)
+      } catch (err) {
+        next(err)
+      }
+    })
+  /**
+   * @api {delete} /webhooks/:id Delete a webhook
+   * @apiName deleteWebhook
+   * @apiGroup Webhooks
+   * @apiPermission admin
+   * @apiParam {String} id Webhook ID.
+   */
+  .delete(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const webhook = await Webhook.remove(req.params.id)
+        audit.track(res, { before: auditSnapshot(webhook), after: null })
+        res.status(status.OK).json({ id: req.params.id })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/deliveries')
+  /**
+   * @api {get} /webhooks/:id/deliveries List the deliveries of a webhook
+   * @apiName getWebhookDeliveries
+   * @apiGroup Webhooks
+   * @apiDescription Lists the events sent to the webhook, the newest first, with their <code>status</code>, <code>attempts</code> and <code>lastError</code>. Failed deliveries can be replayed from the outbox.
+   * @apiPermission admin
+   * @apiParam {String} id Webhook ID.
+   * @apiParam {String} [status] <code>pending</code>, <code>processing</code>, <code>delivered</code> or <code>failed</code>
+   */
+  .get(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        let query = { channel: 'webhook', target: req.params.id }
+        if (req.query.status) query.status = req.query.status
+        const results = await Outbox.list(query, {
+          limit: req.query.limit,
+          page: req.query.page
+        })
+        res.status(status.OK).json({
+          results: results.docs,
+          pagination: {
+            count: results.total,
+            page: results.page,
+            limit: results.limit
+          }
+        })
+      } catch (err) {
+        next(err)
+      }
+    })
+
+router.route('/:id/test')
+  /**
+   * @api {post} /webhooks/:id/test Send a test event
+   * @apiName testWebhook
+   * @apiGroup Webhooks
+   * @apiDescription Sends a <code>ping</code> event to the webhook right away, and returns the status of the response.
+   * @apiPermission admin
+   * @apiParam {String} id Webhook ID.
+   * @apiSuccess {Boolean} delivered If the webhook answered with a 2xx status
+   * @apiSuccess {Number} status The status of the response
+   * @apiSuccess {String} error The error, if it wasn't delivered
+   */
+  .post(
+    middlewares.checkId,
+    auth.keycloak.protect('realm:admin'),
+    async (req, res, next) => {
+      try {
+        const webhook = await Webhook.get({ _id: req.params.id }, true)
+        if (!webhook) throw errors.ErrNotFound('Webhook not found')
+        const payload = { event: 'ping', data: { webhook: webhook._id }, createdAt: new Date() }
+        try {
+          const response = await webhooks.post(webhook, 'test', payload)
+          res.status(status.OK).json({ delivered: true, status: response.status, error: null })
+        } catch (error) {
+          res.status(status.OK).json({
+            delivered: false,
+            status: error.response ? error.response.status : null,
+            error: error.message
+          })
+        }
+      } catch (err) {
+        next(err)
+      }
+    })
+
+module.exports = router
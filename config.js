@@ -17,6 +17,74 @@ const CONFIG = {
 
   NOTIFIER_URL: process.env.NOTIFIER_URL,
 
+  // Where the notifications are sent: "notifier" (NOTIFIER_URL), "email" (built-in, over SMTP) or both, separated by comma
+  NOTIFICATION_CHANNELS: (process.env.NOTIFICATION_CHANNELS || 'notifier').split(',').map((channel) => channel.trim()),
+
+  // Legacy: also ask the notifier to schedule its own closing notification of the documents. The scheduler already closes them and notifies the followers
+  NOTIFIER_DOCUMENT_CLOSES: process.env.NOTIFIER_DOCUMENT_CLOSES === 'true',
+
+  // URL of the web app, for the links in the emails
+  WEB_URL: process.env.WEB_URL || null,
+
+  // ------------------------------------------------------------------------------
+  //  Scheduler of the opening and closing of documents. Times are in milliseconds
+  // ------------------------------------------------------------------------------
+
+  SCHEDULER: {
+    POLL_INTERVAL: parseInt(process.env.SCHEDULER_POLL_INTERVAL, 10) || 30000,
+    // How long before the closing date the followers are reminded
+    REMINDER_BEFORE: parseInt(process.env.SCHEDULER_REMINDER_BEFORE, 10) || 48 * 60 * 60 * 1000,
+    RETRY_DELAY: parseInt(process.env.SCHEDULER_RETRY_DELAY, 10) || 60000,
+    MAX_ATTEMPTS: parseInt(process.env.SCHEDULER_MAX_ATTEMPTS, 10) || 5,
+    LOCK_TIMEOUT: parseInt(process.env.SCHEDULER_LOCK_TIMEOUT, 10) || 5 * 60 * 1000
+  },
+
+  // ------------------------------------------------------------------------------
+  //  Built-in email channel
+  // ------------------------------------------------------------------------------
+
+  EMAIL: {
+    FROM: process.env.EMAIL_FROM || 'no-reply@localhost',
+    // Language of the emails: es or en
+    LANG: process.env.EMAIL_LANG || 'es',
+    SMTP: {
+      HOST: process.env.SMTP_HOST || 'localhost',
+      PORT: parseInt(process.env.SMTP_PORT, 10) || 587,
+      SECURE: process.env.SMTP_SECURE === 'true',
+      USER: process.env.SMTP_USER || null,
+      PASS: process.env.SMTP_PASS || null
+    }
+  },
+
+  // ------------------------------------------------------------------------------
+  //  Outbox of outgoing messages. Times are in milliseconds
+  // ------------------------------------------------------------------------------
+
+  OUTBOX: {
+    POLL_INTERVAL: parseInt(process.env.OUTBOX_POLL_INTERVAL, 10) || 5000,
+    // The delay before the second attempt. It doubles on every failure
+    RETRY_DELAY: parseInt(process.env.OUTBOX_RETRY_DELAY, 10) || 30000,
+    // After this many failures the event is dead-lettered
+    MAX_ATTEMPTS: parseInt(process.env.OUTBOX_MAX_ATTEMPTS, 10) || 8,
+    LOCK_TIMEOUT: parseInt(process.env.OUTBOX_LOCK_TIMEOUT, 10) || 60000,
+    // Days the delivered events are kept (0 keeps them forever)
+    RETENTION: process.env.OUTBOX_RETENTION ? parseInt(process.env.OUTBOX_RETENTION, 10) : 30
+  },
+
+  // ------------------------------------------------------------------------------
+  //  Audit log of the write operations. Retentions are in days, 0 keeps the entries forever
+  // ------------------------------------------------------------------------------
+
+  AUDIT: {
+    RETENTION: process.env.AUDIT_RETENTION ? parseInt(process.env.AUDIT_RETENTION, 10) : 365,
+    // Retentions for some kinds of targets. Ex: "community=0,comment=90"
+    RETENTION_RULES: (process.env.AUDIT_RETENTION_RULES || '').split(',').filter((rule) => rule.includes('=')).reduce((rules, rule) => {
+      const [targetType, days] = rule.split('=')
+      rules[targetType.trim()] = parseInt(days, 10) || 0
+      return rules
+    }, {})
+  },
+
   // ------------------------------------------------------------------------------
   //  Keycloak configuration
   // ------------------------------------------------------------------------------
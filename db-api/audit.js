@@ -0,0 +1,27 @@
+const Audit = require('../models/audit')
+const dbUser = require('../db-api/user')
+
+// Record an action
+exports.record = function record (entry) {
+  return Audit.create(entry)
+}
+
+// List the entries, the newest first
+exports.list = function list (query, { limit, page }) {
+  return Audit.paginate(query, {
+    page: page,
+    limit: limit,
+    sort: '-createdAt',
+    lean: true,
+    populate: { path: 'actor', select: dbUser.exposeAll(false) }
+  })
+}
+
+// Get a cursor on all the entries, the newest first. For the exports
+exports.cursor = function cursor (query) {
+  return Audit.find(query)
+    .sort('-createdAt')
+    .populate({ path: 'actor', select: dbUser.exposeAll(false) })
+    .lean()
+    .cursor()
+}
@@ -0,0 +1,147 @@
+const ClosureReport = require('../models/closureReport')
+const DocumentVersion = require('../models/documentVersion')
+const Comment = require('../models/comment')
+const Like = require('../models/like')
+const richText = require('../services/richText')
+const lifecycle = require('../services/lifecycle')
+const errors = require('../services/errors')
+const dbDocument = require('./document')
+const dbDocumentVersion = require('./documentVersion')
+
+const MOST_LIKED_LIMIT = 5
+
+const countComments = (comments) => {
+  const resolved = comments.filter((c) => c.resolved).length
+  return {
+    total: comments.length,
+    resolved: resolved,
+    unresolved: comments.length - resolved
+  }
+}
+
+const groupBy = (array, fn) => {
+  let groups = {}
+  array.forEach((item) => {
+    const key = fn(item)
+    if (key === null || key === undefined) return
+    groups[key] = groups[key] || []
+    groups[key].push(item)
+  })
+  return groups
+}
+
+// Build the data of the closure report of a document
+exports.build = async function build (document, customForm) {
+  const versions = await DocumentVersion.find({ document: document._id }).sort({ version: 1 }).lean()
+  const comments = await Comment.find({ document: document._id, parent: null, deleted: { $ne: true }, hidden: { $ne: true } }).populate('user', 'fullname').lean()
+  const likes = await Like.aggregate([
+    { $match: { comment: { $in: comments.map((c) => c._id) }, type: 'support' } },
+    { $group: { _id: '$comment', count: { $sum: 1 } } }
+  ])
+  const contributionsData = await dbDocumentVersion.countContributions({ document: document._id })
+  const contentOf = {}
+  versions.forEach((v) => { contentOf[v._id] = v.content })
+  // Comments per field
+  const byField = groupBy(comments, (c) => c.field)
+  const fields = Object.keys(byField).map((field) => {
+    const property = customForm.fields.properties[field]
+    return Object.assign({ field: field, title: property && property.title ? property.title : field }, countComments(byField[field]))
+  })
+  // Contextual comments per article, using the content of the version they were made on
+  const byArticle = groupBy(comments, (c) => {
+    if (c.field !== 'articles' || !c.decoration || !contentOf[c.version]) return null
+    return richText.getArticleAt(contentOf[c.version].articles, c.decoration.anchor)
+  })
+  const articles = Object.keys(byArticle)
+    .map((article) => Object.assign({ article: parseInt(article, 10) }, countComments(byArticle[article])))
+    .sort((a, b) => a.article - b.article)
+  // Most supported comments
+  const mostLiked = likes
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MOST_LIKED_LIMIT)
+    .map((like) => {
+      const comment = comments.find((c) => c._id.equals(like._id))
+      return {
+        _id: comment._id,
+        field: comment.field,
+        content: comment.content,
+        user: comment.user ? comment.user.fullname : null,
+        likes: like.count
+      }
+    })
+  // Users whose comments became contributions
+  const contributionIds = versions.reduce((ids, v) => ids.concat(v.contributions.map((id) => id.toString())), [])
+  const byContributor = groupBy(comments.filter((c) => contributionIds.includes(c._id.toString()) && c.user), (c) => c.user._id)
+  const contributors = Object.keys(byContributor).map((user) => {
+    return {
+      _id: user,
+      fullname: byContributor[user][0].user.fullname,
+      contributions: byContributor[user].length
+    }
+  }).sort((a, b) => b.contributions - a.contributions)
+  const counts = countComments(comments)
+  return {
+    document: {
+      _id: document._id,
+      title: document.currentVersion.content.title,
+      author: document.author.fullname,
+      closingDate: document.currentVersion.content.closingDate
+    },
+    participation: {
+      commentsCount: counts.total,
+      contextualCommentsCount: comments.filter((c) => c.decoration).length,
+      resolvedCount: counts.resolved,
+      unresolvedCount: counts.unresolved,
+      contributionsCount: contributionsData.contributionsCount,
+      contributorsCount: contributionsData.contributorsCount
+    },
+    fields: fields,
+    articles: articles,
+    mostLiked: mostLiked,
+    contributors: contributors,
+    timeline: versions.map((v) => {
+      return {
+        version: v.version,
+        createdAt: v.createdAt,
+        contributionsCount: v.contributions.length,
+        rollbackFrom: v.rollbackFrom || null
+      }
+    }),
+    states: document.stateHistory
+  }
+}
+
+// Get the closure report of a document
+exports.get = function get (query) {
+  return ClosureReport.findOne(query)
+}
+
+// Save the closure report of a document, replacing the previous one
+exports.save = async function save (document, data, user) {
+  return ClosureReport.findOne({ document: document._id })
+    .then((_report) => {
+      let report = _report || new ClosureReport({ document: document._id })
+      report.version = document.currentVersion._id
+      report.user = user
+      report.data = data
+      report.markModified('data')
+      // Save!
+      return report.save()
+    })
+}
+
+// Publish the closure report: it is copied into the closure field of the content (if its custom form has it)
+// and then the document goes to closure-published. If the content is not valid with it, the state doesn't change
+exports.publish = async function publish (document, report, customForm, user) {
+  const state = lifecycle.STATES.CLOSURE_PUBLISHED
+  if (!lifecycle.canTransition(document.state, state)) throw errors.ErrInvalidTransition(document.state, state)
+  if (customForm.fields.properties.closure) {
+    const closure = {
+      report: report._id,
+      updatedAt: report.updatedAt,
+      data: report.data
+    }
+    await dbDocumentVersion.updateField(document.currentVersion._id, 'closure', closure, customForm)
+  }
+  return dbDocument.transition(document._id, state, user)
+}
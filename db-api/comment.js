@@ -1,6 +1,7 @@
 const { Types: { ObjectId } } = require('mongoose')
 // const { merge } = require('lodash/object')
 const Comment = require('../models/comment')
+const Like = require('../models/like')
 // const validator = require('../services/jsonSchemaValidator')
 const errors = require('../services/errors')
 const dbUser = require('./user')
@@ -24,6 +25,81 @@ exports.getAll = function getAll (query, expose) {
     .find(query).populate('user', dbUser.exposeAll(expose))
 }
 
+const SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  liked: { likes: -1, createdAt: -1 },
+  unresolved: { resolved: 1, createdAt: -1 }
+}
+
+exports.SORTS = Object.keys(SORTS)
+
+const REACTIONS = Like.schema.path('type').enumValues
+
+// Stages that add the count of each type of reaction of each comment, and the reactions of the user.
+// "likes" and "isLiked" are the supports, as before the reactions existed
+const likesStages = (user) => {
+  const ofType = (list, type) => ({ $filter: { input: list, cond: { $eq: ['$$this.type', type] } } })
+  const userReactions = { $filter: { input: '$likesList', cond: { $eq: ['$$this.user', user ? ObjectId(user) : null] } } }
+  let reactions = {}
+  REACTIONS.forEach((type) => {
+    reactions[type] = { $size: ofType('$likesList', type) }
+  })
+  return [
+    { $lookup: { from: Like.collection.name, localField: '_id', foreignField: 'comment', as: 'likesList' } },
+    {
+      $addFields: {
+        reactions: reactions,
+        userReactions: user ? { $map: { input: userReactions, in: '$$this.type' } } : [],
+        likes: { $size: ofType('$likesList', 'support') },
+        isLiked: user ? { $gt: [{ $size: ofType(userReactions, 'support') }, 0] } : false
+      }
+    },
+    { $project: { likesList: 0, history: 0, flags: 0 } }
+  ]
+}
+
+const populateAndFormat = async (comments) => {
+  await Comment.populate(comments, { path: 'user', select: dbUser.exposeAll(false) })
+  return comments.map(Comment.format)
+}
+
+// List comments with their likes, paginated and sorted
+exports.list = async function list (query, { limit, page, sort, user }) {
+  limit = parseInt(limit, 10) || 10
+  page = parseInt(page, 10) || 1
+  const sortStage = { $sort: Object.assign({}, SORTS[sort] || SORTS.oldest, { _id: 1 }) }
+  const pageStages = [{ $skip: (page - 1) * limit }, { $limit: limit }]
+  // Likes are needed before sorting only when sorting by likes
+  const docsStages = sort === 'liked'
+    ? likesStages(user).concat([sortStage], pageStages)
+    : [sortStage].concat(pageStages, likesStages(user))
+  const [result] = await Comment.aggregate([
+    { $match: query },
+    {
+      $facet: {
+        docs: docsStages,
+        total: [{ $count: 'count' }]
+      }
+    }
+  ])
+  return {
+    docs: await populateAndFormat(result.docs),
+    total: result.total.length ? result.total[0].count : 0,
+    page: page,
+    limit: limit
+  }
+}
+
+// Get the replies of some comments with their likes, oldest first
+exports.listReplies = async function listReplies (query, { user }) {
+  const replies = await Comment.aggregate([
+    { $match: query },
+    { $sort: SORTS.oldest }
+  ].concat(likesStages(user)))
+  return populateAndFormat(replies)
+}
+
 exports.resolve = function resolve (query) {
   return Comment.findOne(query)
     .then((_comment) => {
@@ -35,6 +111,110 @@ exports.resolve = function resolve (query) {
       return _comment.save()
     })
 }
+// Edit the content of a comment, keeping the previous one in its history
+exports.edit = function edit (query, content) {
+  return Comment.findOne(query).select('+history')
+    .then((_comment) => {
+      // Found?
+      if (!_comment) throw errors.ErrNotFound('Comment to update not found')
+      // Do stuff
+      _comment.history.push({ content: _comment.content })
+      _comment.content = content
+      _comment.editedAt = new Date()
+      // Save!
+      return _comment.save()
+    })
+}
+
+// Soft delete a comment
+exports.remove = function remove (query) {
+  return Comment.findOne(query)
+    .then((_comment) => {
+      // Found?
+      if (!_comment) throw errors.ErrNotFound('Comment to remove not found')
+      // Do stuff
+      _comment.deleted = true
+      _comment.deletedAt = new Date()
+      // Save!
+      return _comment.save()
+    })
+}
+
+// Create a reply of a comment
+exports.createReply = async function createReply (parent, reply) {
+  const newReply = await (new Comment({
+    user: reply.user,
+    document: parent.document,
+    version: reply.version,
+    field: parent.field,
+    content: reply.content,
+    parent: parent._id,
+    official: reply.official
+  })).save()
+  await exports.addReply(parent._id)
+  return newReply
+}
+
+// Update the count of replies of a comment after adding one
+exports.addReply = function addReply (parentId) {
+  return Comment.updateOne({ _id: parentId }, { $inc: { repliesCount: 1 } })
+}
+
+// Update the count of replies of a comment after removing one
+exports.removeReply = function removeReply (parentId) {
+  return Comment.updateOne({ _id: parentId, repliesCount: { $gt: 0 } }, { $inc: { repliesCount: -1 } })
+}
+
+// Flag a comment. A user can flag a comment only once, flagging it again changes the reason
+exports.flag = function flag (query, user, reason) {
+  return Comment.findOne(query).select('+flags')
+    .then((_comment) => {
+      // Found?
+      if (!_comment) throw errors.ErrNotFound('Comment to flag not found')
+      // Do stuff
+      let userFlag = _comment.flags.find((f) => f.user.equals(user))
+      if (userFlag) {
+        userFlag.reason = reason
+        userFlag.date = new Date()
+      } else {
+        _comment.flags.push({ user: user, reason: reason })
+      }
+      _comment.flagsCount = _comment.flags.length
+      // Save!
+      return _comment.save()
+    })
+}
+
+// Hide or restore a comment
+exports.setHidden = function setHidden (query, hidden, moderator) {
+  return Comment.findOne(query)
+    .then((_comment) => {
+      // Found?
+      if (!_comment) throw errors.ErrNotFound('Comment to moderate not found')
+      // Do stuff
+      _comment.hidden = hidden
+      _comment.moderatedBy = moderator
+      _comment.moderatedAt = new Date()
+      // Save!
+      return _comment.save()
+    })
+}
+
+// List the flagged comments, most flagged first
+exports.listFlagged = function listFlagged (query, { limit, page }) {
+  return Comment.paginate(Object.assign({ flagsCount: { $gt: 0 }, deleted: { $ne: true } }, query), {
+    page,
+    limit,
+    sort: { flagsCount: -1, updatedAt: -1 },
+    select: '+flags',
+    populate: [
+      { path: 'user', select: dbUser.exposeAll(false) },
+      { path: 'flags.user', select: dbUser.exposeAll(false) },
+      { path: 'document', select: 'author currentVersion state' }
+    ]
+  })
+}
+
 exports.reply = function reply (query, reply) {
   return Comment.findOne(query)
     .then((_comment) => {
@@ -47,11 +227,31 @@ exports.reply = function reply (query, reply) {
     })
 }
 
+// Move the unresolved comments of a version to another one.
+// Decorations can't be kept on the fields whose content changed, those comments get resolved.
+exports.moveToVersion = async function moveToVersion (fromVersion, toVersion, changedFields) {
+  const resolved = await Comment.updateMany({
+    version: fromVersion,
+    resolved: false,
+    decoration: { $ne: null },
+    field: { $in: changedFields }
+  }, { resolved: true })
+  const moved = await Comment.updateMany({
+    version: fromVersion,
+    resolved: false
+  }, { version: toVersion })
+  return {
+    resolved: resolved.nModified,
+    moved: moved.nModified
+  }
+}
+
 exports.updateDecorations = async function updateDecorations (version, decorations) {
   let query = {
     version: version,
     resolved: false,
-    field: 'articles'
+    field: 'articles',
+    parent: null
   }
   let decorationsMap = {}
   decorations.forEach((deco) => {
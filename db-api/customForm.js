@@ -1,7 +1,8 @@
 const { Types: { ObjectId } } = require('mongoose')
 const { ErrNotFound } = require('../services/errors')
-const { merge } = require('lodash/object')
+const { merge, omit } = require('lodash/object')
 const CustomForm = require('../models/customForm')
+const CustomFormVersion = require('../models/customFormVersion')
 const validator = require('../services/jsonSchemaValidator')
 
 // Get customForm
@@ -16,6 +17,10 @@ exports.create = function create (customForm) {
     required: customForm.fields.required
   })
   return (new CustomForm(customForm)).save()
+    .then(async (_customForm) => {
+      await exports.snapshot(_customForm)
+      return _customForm
+    })
 }
 
 // List customForms
@@ -36,10 +41,56 @@ exports.update = function update (id, customForm) {
   return CustomForm.findOne({ _id: id })
     .then((_customForm) => {
       if (!_customForm) throw ErrNotFound('CustomForm to update not found')
-      return Object.assign(_customForm, customForm).save()
+      // The version is only changed by the changes of the fields
+      return Object.assign(_customForm, omit(customForm, ['version'])).save()
+    })
+    .then(async (_customForm) => {
+      await exports.snapshot(_customForm)
+      return _customForm
     })
 }
 
+// Keep a copy of the current version of a customForm. The copy of a version is never changed
+exports.snapshot = function snapshot (customForm) {
+  return CustomFormVersion.findOneAndUpdate(
+    { customForm: customForm._id, version: customForm.version },
+    {
+      $setOnInsert: {
+        name: customForm.name,
+        slug: customForm.slug,
+        icon: customForm.icon,
+        description: customForm.description,
+        fields: JSON.parse(JSON.stringify(customForm.fields))
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+}
+
+// Get a version of a customForm
+exports.getVersion = function getVersion (customForm, version) {
+  return CustomFormVersion.findOne({ customForm: customForm, version: version })
+}
+
+// List the versions of customForms, the newest first
+exports.listVersions = function listVersions (query, { limit, page }) {
+  return CustomFormVersion.paginate(query, { page, limit, sort: { customForm: 1, version: -1 } })
+}
+
+// Get the version of the customForm that a document is pinned to.
+// Documents saved before the versions were kept follow the current version
+exports.getForDocument = async function getForDocument (document) {
+  const customForm = await CustomForm.findOne({ _id: document.customForm })
+  if (!customForm) throw ErrNotFound('CustomForm of the document not found')
+  if (document.customFormVersion === undefined || document.customFormVersion === null) return customForm
+  const version = await exports.getVersion(customForm._id, document.customFormVersion)
+  if (version) return version
+  // The version was never copied. If it is still the current one, copy it now
+  if (customForm.version === document.customFormVersion) return exports.snapshot(customForm)
+  // The form has changed since, its current fields are not the ones the document was written for
+  throw ErrNotFound(`Version ${document.customFormVersion} of the CustomForm of the document not found`)
+}
+
 // Remove customForm
 exports.remove = async function remove (id) {
   return CustomForm.findOne({ _id: id })
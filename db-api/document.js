@@ -1,17 +1,29 @@
-const { Types: { ObjectId } } = require('mongoose')
+const mongoose = require('mongoose')
 const { merge } = require('lodash/object')
 const Document = require('../models/document')
 const DocumentVersion = require('../models/documentVersion')
+const Comment = require('../models/comment')
+const Like = require('../models/like')
+const Vote = require('../models/vote')
+const Subscription = require('../models/subscription')
+const Notification = require('../models/notification')
+const ClosureReport = require('../models/closureReport')
+const Job = require('../models/job')
 const dbUser = require('../db-api/user')
 const validator = require('../services/jsonSchemaValidator')
+const lifecycle = require('../services/lifecycle')
+const policy = require('../services/policy')
 const errors = require('../services/errors')
 
+// Deleted documents are left out, unless the query asks for them
+const notDeleted = (query) => Object.assign({ deleted: { $ne: true } }, query)
+
 exports.countAuthorDocuments = async function countAuthorDocuments (author) {
-  return Document.count({ author: author })
+  return Document.countDocuments(notDeleted({ author: author }))
 }
 
 exports.isAuthor = async function isAuthor (id, author) {
-  let count = await Document.countDocuments({ _id: id, author: author })
+  let count = await Document.countDocuments(notDeleted({ _id: id, author: author }))
   return count
 }
 
@@ -22,11 +34,15 @@ exports.create = async function create (documentData, customForm) {
     customForm.fields,
     documentData.content
   )
-  // Create a new document
+  // Create a new document. Published documents start open for participation
+  const state = documentData.published ? lifecycle.STATES.OPEN : lifecycle.STATES.DRAFT
   let documentToSave = {
     author: documentData.author,
     customForm: customForm._id,
-    published: documentData.published
+    customFormVersion: customForm.version,
+    state: state,
+    stateHistory: [{ state: state, user: documentData.author }],
+    publishDate: documentData.publishDate || null
   }
   // Save the document, to get the id
   let theDocument = await (new Document(documentToSave)).save()
@@ -49,13 +65,17 @@ exports.create = async function create (documentData, customForm) {
 
 // Get document (with its last version)
 exports.get = async function get (query) {
-  let document = await Document.findOne(query).populate({ path: 'author', select: dbUser.exposeAll(false) }).populate('currentVersion').lean()
+  let document = await Document.findOne(notDeleted(query))
+    .populate({ path: 'author', select: dbUser.exposeAll(false) })
+    .populate({ path: 'collaborators.user', select: dbUser.exposeAll(false) })
+    .populate('currentVersion')
+    .lean()
   return document
 }
 
 // List documents
 exports.list = async function list (query, { limit, page }) {
-  let documentList = await Document.paginate(query, { page, limit, lean: true, populate: [{ path: 'author', select: dbUser.exposeAll(false) }, 'currentVersion'] })
+  let documentList = await Document.paginate(notDeleted(query), { page, limit, lean: true, populate: [{ path: 'author', select: dbUser.exposeAll(false) }, 'currentVersion'] })
   // let promisesPopulate = documentList.docs.map(async (doc) => {
   //   let theVersion = await DocumentVersion.findOne({
   //     document: doc._id,
@@ -70,6 +90,96 @@ exports.list = async function list (query, { limit, page }) {
   return documentList
 }
 
+// Search documents, returning the facets of the results
+exports.search = async function search (query, { text, closed, closingDateFrom, closingDateTo }, { limit, page }) {
+  limit = parseInt(limit, 10) || 10
+  page = parseInt(page, 10) || 1
+  let match = notDeleted(query)
+  // The text index lives on the versions, keep only the documents whose current version matches
+  if (text) {
+    const versions = await DocumentVersion.find({ $text: { $search: text } }, { _id: 1 }).lean()
+    match.currentVersion = { $in: versions.map((v) => v._id) }
+  }
+  const now = new Date()
+  // Closed like lifecycle.isClosed(): by its state, or open with its closing date passed
+  const closedStates = lifecycle.PUBLISHED_STATES.filter((state) => state !== lifecycle.STATES.OPEN)
+  const closedFilter = {
+    $or: [
+      { state: { $in: closedStates } },
+      { state: lifecycle.STATES.OPEN, 'currentVersion.closingDate': { $lte: now } }
+    ]
+  }
+  let versionFilters = []
+  if (closed === true) versionFilters.push(closedFilter)
+  if (closed === false) versionFilters.push({ $nor: [closedFilter] })
+  if (closingDateFrom) versionFilters.push({ 'currentVersion.closingDate': { $gte: closingDateFrom } })
+  if (closingDateTo) versionFilters.push({ 'currentVersion.closingDate': { $lte: closingDateTo } })
+  const closingDate = { $ifNull: ['$currentVersion.closingDate', null] }
+  const isClosed = {
+    $or: [
+      { $in: ['$state', closedStates] },
+      { $and: [{ $eq: ['$state', lifecycle.STATES.OPEN] }, { $gt: [closingDate, null] }, { $lte: [closingDate, now] }] }
+    ]
+  }
+  const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000)
+  let pipeline = [
+    { $match: match },
+    {
+      $lookup: {
+        from: DocumentVersion.collection.name,
+        localField: 'currentVersion',
+        foreignField: '_id',
+        as: 'currentVersion'
+      }
+    },
+    { $unwind: '$currentVersion' },
+    { $project: { 'currentVersion.searchText': 0 } }
+  ]
+  if (versionFilters.length) pipeline.push({ $match: { $and: versionFilters } })
+  pipeline.push({
+    $facet: {
+      docs: [{ $sort: { createdAt: -1 } }, { $skip: (page - 1) * limit }, { $limit: limit }],
+      total: [{ $count: 'count' }],
+      authors: [{ $group: { _id: '$author', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+      customForms: [{ $group: { _id: '$customForm', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+      states: [{ $group: { _id: '$state', count: { $sum: 1 } } }],
+      closed: [{ $group: { _id: isClosed, count: { $sum: 1 } } }],
+      closingDates: [{
+        $group: {
+          _id: {
+            $switch: {
+              branches: [
+                { case: { $eq: [closingDate, null] }, then: 'none' },
+                { case: { $lte: [closingDate, now] }, then: 'past' },
+                { case: { $lte: [closingDate, inDays(7)] }, then: 'next-7-days' },
+                { case: { $lte: [closingDate, inDays(30)] }, then: 'next-30-days' }
+              ],
+              default: 'later'
+            }
+          },
+          count: { $sum: 1 }
+        }
+      }]
+    }
+  })
+  const [result] = await Document.aggregate(pipeline)
+  await Document.populate(result.docs, { path: 'author', select: dbUser.exposeAll(false) })
+  await Document.populate(result.authors, { path: '_id', model: 'User', select: dbUser.exposeAll(false) })
+  return {
+    docs: result.docs,
+    total: result.total.length ? result.total[0].count : 0,
+    page: page,
+    limit: limit,
+    facets: {
+      authors: result.authors.map((f) => ({ author: f._id, count: f.count })),
+      customForms: result.customForms.map((f) => ({ customForm: f._id, count: f.count })),
+      states: result.states.map((f) => ({ state: f._id, count: f.count })),
+      closed: result.closed.map((f) => ({ closed: f._id, count: f.count })),
+      closingDates: result.closingDates.map((f) => ({ range: f._id, count: f.count }))
+    }
+  }
+}
+
 // Update document
 exports.update = async function update (id, document) {
   // First, find if the document exists
@@ -84,6 +194,79 @@ exports.update = async function update (id, document) {
     })
 }
 
+// Change the state of a document, following the allowed transitions
+exports.transition = async function transition (id, state, user) {
+  return Document.findOne({ _id: id }).populate('currentVersion')
+    .then((_document) => {
+      // Founded?
+      if (!_document) throw errors.ErrNotFound('Document to update not found')
+      if (!lifecycle.canTransition(_document.state, state)) throw errors.ErrInvalidTransition(_document.state, state)
+      // Once its closing date has passed, an open document would be closed again. A future one has to be set first
+      if (state === lifecycle.STATES.OPEN && lifecycle.hasClosingDatePassed(_document)) {
+        throw errors.ErrBadRequest('The closing date of the document has passed', { field: 'closingDate' })
+      }
+      _document.stateHistory.push({ from: _document.state, state: state, user: user })
+      _document.state = state
+      // Save!
+      return _document.save()
+    })
+}
+
+// Force the state of a document, skipping the allowed transitions (for admins)
+exports.forceState = async function forceState (id, state, user, reason) {
+  return Document.findOne({ _id: id })
+    .then((_document) => {
+      if (!_document) throw errors.ErrNotFound('Document to update not found')
+      _document.stateHistory.push({ from: _document.state, state: state, user: user, forced: true, reason: reason || null })
+      _document.state = state
+      return _document.save()
+    })
+}
+
+// Transfer the authorship of a document. The previous author can stay as a co-author
+exports.transferAuthor = async function transferAuthor (id, author, keepAsCoAuthor) {
+  return Document.findOne({ _id: id })
+    .then((_document) => {
+      if (!_document) throw errors.ErrNotFound('Document to update not found')
+      const previousAuthor = _document.author
+      _document.collaborators = _document.collaborators.filter((c) => !c.user.equals(author) && !c.user.equals(previousAuthor))
+      if (keepAsCoAuthor) _document.collaborators.push({ user: previousAuthor, role: policy.ROLES.CO_AUTHOR })
+      _document.author = author
+      return _document.save()
+    })
+}
+
+// Change the custom form of a document, pinned to its current version
+exports.setCustomForm = async function setCustomForm (id, customForm) {
+  return Document.updateOne({ _id: id }, { $set: { customForm: customForm._id, customFormVersion: customForm.version } })
+}
+
+// Add a collaborator to a document, or change its role
+exports.setCollaborator = async function setCollaborator (id, user, role) {
+  return Document.findOne({ _id: id })
+    .then((_document) => {
+      if (!_document) throw errors.ErrNotFound('Document to update not found')
+      const collaborator = _document.collaborators.find((c) => c.user.equals(user))
+      if (collaborator) {
+        collaborator.role = role
+      } else {
+        _document.collaborators.push({ user: user, role: role })
+      }
+      return _document.save()
+    })
+}
+
+// Remove a collaborator of a document
+exports.removeCollaborator = async function removeCollaborator (id, user) {
+  return Document.findOne({ _id: id })
+    .then((_document) => {
+      if (!_document) throw errors.ErrNotFound('Document to update not found')
+      if (!_document.collaborators.some((c) => c.user.equals(user))) throw errors.ErrNotFound('Collaborator not found')
+      _document.collaborators = _document.collaborators.filter((c) => !c.user.equals(user))
+      return _document.save()
+    })
+}
+
 // Update document
 exports.addComment = async function addComment (id) {
   // First, find if the document exists
@@ -98,10 +281,89 @@ exports.addComment = async function addComment (id) {
     })
 }
 
-exports.remove = function remove (id) {
+// Update document
+exports.removeComment = async function removeComment (id) {
+  // First, find if the document exists
   return Document.findOne({ _id: id })
+    .then((_document) => {
+      // Founded?
+      if (!_document) throw errors.ErrNotFound('Document to update not found')
+      _document.commentsCount = Math.max(_document.commentsCount - 1, 0)
+      // Save!
+      return _document.save()
+    })
+}
+
+// Ban a user from commenting on a document
+exports.banUser = async function banUser (id, user) {
+  return Document.updateOne({ _id: id }, { $addToSet: { bannedUsers: user } })
+}
+
+// Allow a banned user to comment on a document again
+exports.unbanUser = async function unbanUser (id, user) {
+  return Document.updateOne({ _id: id }, { $pull: { bannedUsers: user } })
+}
+
+// Soft delete a document. Its versions, comments and likes are hidden with it
+exports.remove = function remove (id, user) {
+  return Document.findOne({ _id: id, deleted: { $ne: true } })
     .then((document) => {
       if (!document) throw errors.ErrNotFound('Document to remove not found')
-      document.remove()
+      document.deleted = true
+      document.deletedAt = new Date()
+      document.deletedBy = user
+      return document.save()
+    })
+}
+
+// Restore a deleted document
+exports.restore = function restore (id) {
+  return Document.findOne({ _id: id, deleted: true })
+    .then((document) => {
+      if (!document) throw errors.ErrNotFound('Document to restore not found')
+      document.deleted = false
+      document.deletedAt = null
+      document.deletedBy = null
+      return document.save()
     })
 }
+
+// Get the ids of the deleted documents
+exports.getDeletedIds = function getDeletedIds () {
+  return Document.distinct('_id', { deleted: true })
+}
+
+// Remove a deleted document and everything it has. The document goes last, so a purge that failed can be run again
+const purgeAll = async (id, options) => {
+  const comments = await Comment.find({ document: id }, { _id: 1 }, options).lean()
+  await Like.deleteMany({ comment: { $in: comments.map((c) => c._id) } }, options)
+  await Comment.deleteMany({ document: id }, options)
+  await DocumentVersion.deleteMany({ document: id }, options)
+  await Vote.deleteMany({ document: id }, options)
+  await Subscription.deleteMany({ document: id }, options)
+  await Notification.deleteMany({ document: id }, options)
+  await ClosureReport.deleteMany({ document: id }, options)
+  await Job.deleteMany({ document: id }, options)
+  await Document.deleteMany({ _id: id }, options)
+}
+
+// Purge a deleted document in a transaction. MongoDB only supports them on replica sets,
+// on a standalone server the purge is done without it
+exports.purge = async function purge (id) {
+  const document = await Document.findOne({ _id: id, deleted: true })
+  if (!document) throw errors.ErrNotFound('Deleted document to purge not found')
+  const session = await mongoose.startSession()
+  try {
+    session.startTransaction()
+    await purgeAll(document._id, { session: session })
+    await session.commitTransaction()
+  } catch (err) {
+    await session.abortTransaction().catch(() => {})
+    // IllegalOperation: transactions are not supported by the server
+    if (err.code !== 20) throw err
+    await purgeAll(document._id, {})
+  } finally {
+    session.endSession()
+  }
+  return document
+}
@@ -4,12 +4,20 @@ const { union } = require('lodash/array')
 const DocumentVersion = require('../models/documentVersion')
 const validator = require('../services/jsonSchemaValidator')
 const errors = require('../services/errors')
+const utils = require('../services/utils')
+const richText = require('../services/richText')
 const Comment = require('./comment')
 
 exports.get = function get (query) {
   return DocumentVersion.findOne(query)
 }
 
+// List the versions of a document, without their content
+exports.list = function list (query, { limit, page }) {
+  return DocumentVersion
+    .paginate(query, { page, limit, sort: { version: 1 }, select: '-content', lean: true })
+}
+
 exports.update = async function update (id, content, customForm) {
   return DocumentVersion.findOne({ _id: id })
     .then((version) => {
@@ -51,6 +59,42 @@ exports.create = async function create (prevVersionId, documentData, customForm)
     })
 }
 
+// Create a new version with the content of a previous one
+exports.rollback = async function rollback (currentVersion, versionNumber, customForm) {
+  const source = await DocumentVersion.findOne({ document: currentVersion.document, version: versionNumber })
+  if (!source) throw errors.ErrNotFound('Version to rollback to not found')
+  if (source.version === currentVersion.version) throw errors.ErrBadRequest('The version to rollback to is the current version')
+  // The content must still be valid for the custom form
+  validator.isDataValid(
+    customForm.fields,
+    source.content
+  )
+  const versionToSave = {
+    document: currentVersion.document,
+    version: currentVersion.version + 1,
+    content: source.content,
+    contributions: [],
+    rollbackFrom: source.version
+  }
+  return (new DocumentVersion(versionToSave)).save()
+}
+
+// Create a new version with the content migrated to another version of the custom form
+exports.migrate = async function migrate (currentVersion, content, customForm) {
+  validator.isDataValid(
+    customForm.fields,
+    content
+  )
+  const versionToSave = {
+    document: currentVersion.document,
+    version: currentVersion.version + 1,
+    content: content,
+    contributions: [],
+    migratedTo: customForm.version
+  }
+  return (new DocumentVersion(versionToSave)).save()
+}
+
 // Update document
 exports.updateField = async function updateField (id, field, content, customForm) {
   // First, find if the document exists
@@ -85,8 +129,9 @@ exports.countContributions = async function countContributions (query) {
       // Do stuff
       await Promise.all(versions.map(async (v) => {
         contributions = union(contributions, v.contributions)
-        count += v.contributions.length
-        let comments = await Comment.getAll({ _id: { $in: v.contributions } })
+        // Hidden comments don't count
+        let comments = await Comment.getAll({ _id: { $in: v.contributions }, hidden: { $ne: true } })
+        count += comments.length
         let contributorsId = comments.map((c) => {
           return c.user.id
         })
@@ -100,3 +145,38 @@ exports.countContributions = async function countContributions (query) {
       }
     })
 }
+
+// Compare two versions of a document, field by field
+exports.diff = async function diff (documentId, from, to, customForm) {
+  const versions = await DocumentVersion.find({ document: documentId, version: { $in: [from, to] } }).lean()
+  const oldVersion = versions.find((v) => v.version === from)
+  const newVersion = versions.find((v) => v.version === to)
+  if (!oldVersion || !newVersion) throw errors.ErrNotFound('Version not found')
+  const richTextFields = customForm.fields.richText || []
+  let changes = {}
+  union(Object.keys(oldVersion.content), Object.keys(newVersion.content)).forEach((field) => {
+    const oldValue = oldVersion.content[field]
+    const newValue = newVersion.content[field]
+    if (richTextFields.includes(field)) {
+      // Rich text fields are compared by the text of their blocks, word by word
+      const blocksDiff = richText.diff(oldValue, newValue)
+      if (blocksDiff) changes[field] = { richText: true, diff: blocksDiff }
+    } else {
+      const valueDiff = utils.getJsonDiffs({ value: oldValue }, { value: newValue })
+      if (valueDiff) changes[field] = { richText: false, diff: { __old: oldValue, __new: newValue } }
+    }
+  })
+  // The comments that were accepted as contributions between both versions
+  const versionsBetween = await DocumentVersion.find({
+    document: documentId,
+    version: { $gt: Math.min(from, to), $lte: Math.max(from, to) }
+  }).lean()
+  const contributionIds = versionsBetween.reduce((ids, v) => ids.concat(v.contributions), [])
+  const contributions = await Comment.getAll({ _id: { $in: contributionIds }, hidden: { $ne: true } }, false)
+  return {
+    from: { _id: oldVersion._id, version: oldVersion.version, createdAt: oldVersion.createdAt },
+    to: { _id: newVersion._id, version: newVersion.version, createdAt: newVersion.createdAt },
+    changes: changes,
+    contributions: contributions
+  }
+}
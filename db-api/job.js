@@ -0,0 +1,62 @@
+const Job = require('../models/job')
+
+// Schedule a job of a document. A document has only one scheduled job of each kind, so it is rescheduled
+exports.schedule = function schedule (name, document, runAt) {
+  return Job.findOneAndUpdate(
+    { name: name, document: document, status: 'scheduled' },
+    { $set: { runAt: runAt, attempts: 0, lastError: null } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+}
+
+// Cancel the scheduled jobs of a document
+exports.cancel = function cancel (name, document) {
+  return Job.updateMany(
+    { name: name, document: document, status: 'scheduled' },
+    { $set: { status: 'cancelled', finishedAt: new Date() } }
+  )
+}
+
+// Take the next job that is due, locking it for the scheduler.
+// Jobs locked for longer than lockTimeout (ms) belong to a scheduler that died, so they are taken again
+exports.claim = function claim (lockTimeout) {
+  const now = new Date()
+  return Job.findOneAndUpdate({
+    $or: [
+      { status: 'scheduled', runAt: { $lte: now } },
+      { status: 'running', lockedAt: { $lte: new Date(now.getTime() - lockTimeout) } }
+    ]
+  }, {
+    $set: { status: 'running', lockedAt: now },
+    $inc: { attempts: 1 }
+  }, {
+    sort: { runAt: 1 },
+    new: true
+  })
+}
+
+exports.markDone = function markDone (job) {
+  job.status = 'done'
+  job.lockedAt = null
+  job.finishedAt = new Date()
+  return job.save()
+}
+
+// Try again a failed job after retryDelay (ms), until maxAttempts
+exports.markFailed = function markFailed (job, error, { maxAttempts, retryDelay }) {
+  job.lockedAt = null
+  job.lastError = error.message
+  if (job.attempts >= maxAttempts) {
+    job.status = 'failed'
+    job.finishedAt = new Date()
+  } else {
+    job.status = 'scheduled'
+    job.runAt = new Date(Date.now() + retryDelay)
+  }
+  return job.save()
+}
+
+// Get the jobs of a document
+exports.getAll = function getAll (query) {
+  return Job.find(query).sort({ runAt: 1 })
+}
@@ -1,6 +1,17 @@
 const Like = require('../models/like')
+const Comment = require('../models/comment')
+const DocumentVersion = require('../models/documentVersion')
+const richText = require('../services/richText')
 const { ErrNotFound } = require('../services/errors')
 
+exports.REACTIONS = Like.schema.path('type').enumValues
+
+const emptyCounts = () => {
+  let counts = {}
+  exports.REACTIONS.forEach((type) => { counts[type] = 0 })
+  return counts
+}
+
 exports.get = function get (query) {
   return Like.findOne(query)
 }
@@ -20,3 +31,61 @@ exports.remove = function remove (id) {
       return like.remove()
     })
 }
+
+// Add the reaction of the user to the comment, or take it back if it was already there.
+// Returns the reaction, or null if it was taken back
+exports.toggle = async function toggle (user, comment, type) {
+  const reaction = await Like.findOne({ user: user, comment: comment, type: type })
+  if (reaction) {
+    await reaction.remove()
+    return null
+  }
+  try {
+    return await (new Like({ user: user, comment: comment, type: type })).save()
+  } catch (err) {
+    // Duplicate key: the same reaction was added by a request at the same time
+    if (err.code !== 11000) throw err
+    return Like.findOne({ user: user, comment: comment, type: type })
+  }
+}
+
+// Count the reactions to the visible comments of a document, per comment and per article
+exports.distribution = async function distribution (documentId) {
+  const comments = await Comment.find({ document: documentId, parent: null, deleted: { $ne: true }, hidden: { $ne: true } })
+    .select('field decoration version')
+    .lean()
+  const counts = await Like.aggregate([
+    { $match: { comment: { $in: comments.map((c) => c._id) } } },
+    { $group: { _id: { comment: '$comment', type: '$type' }, count: { $sum: 1 } } }
+  ])
+  const versions = await DocumentVersion.find({ _id: { $in: comments.map((c) => c.version) } }).select('content').lean()
+  let byComment = {}
+  counts.forEach((count) => {
+    const id = count._id.comment.toString()
+    byComment[id] = byComment[id] || emptyCounts()
+    byComment[id][count._id.type] = count.count
+  })
+  let byArticle = {}
+  comments.forEach((comment) => {
+    const reactions = byComment[comment._id.toString()]
+    if (!reactions || comment.field !== 'articles' || !comment.decoration) return
+    const version = versions.find((v) => v._id.equals(comment.version))
+    if (!version) return
+    // Contextual comments belong to the article of the version they were made on
+    const article = richText.getArticleAt(version.content.articles, comment.decoration.anchor)
+    if (article === null) return
+    byArticle[article] = byArticle[article] || emptyCounts()
+    exports.REACTIONS.forEach((type) => { byArticle[article][type] += reactions[type] })
+  })
+  let total = emptyCounts()
+  Object.keys(byComment).forEach((id) => {
+    exports.REACTIONS.forEach((type) => { total[type] += byComment[id][type] })
+  })
+  return {
+    total: total,
+    comments: Object.keys(byComment).map((id) => Object.assign({ comment: id }, byComment[id])),
+    articles: Object.keys(byArticle)
+      .map((article) => Object.assign({ article: parseInt(article, 10) }, byArticle[article]))
+      .sort((a, b) => a.article - b.article)
+  }
+}
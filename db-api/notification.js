@@ -0,0 +1,39 @@
+const Notification = require('../models/notification')
+const errors = require('../services/errors')
+
+// Create the notifications of some users
+exports.createMany = function createMany (notifications) {
+  return Notification.insertMany(notifications)
+}
+
+// List the notifications of a user, the newest first
+exports.list = function list (query, { limit, page }) {
+  return Notification.paginate(query, {
+    page: page,
+    limit: limit,
+    sort: '-createdAt',
+    populate: { path: 'document', select: 'currentVersion', populate: { path: 'currentVersion', select: 'content.title' } }
+  })
+}
+
+// Count the notifications that the user didn't read
+exports.countUnread = function countUnread (user) {
+  return Notification.countDocuments({ user: user, read: false })
+}
+
+// Mark a notification of the user as read
+exports.markRead = function markRead (query) {
+  return Notification.findOne(query)
+    .then((_notification) => {
+      if (!_notification) throw errors.ErrNotFound('Notification not found')
+      if (_notification.read) return _notification
+      _notification.read = true
+      _notification.readAt = new Date()
+      return _notification.save()
+    })
+}
+
+// Mark all the notifications of the user as read
+exports.markAllRead = function markAllRead (user) {
+  return Notification.updateMany({ user: user, read: false }, { $set: { read: true, readAt: new Date() } })
+}
@@ -0,0 +1,82 @@
+const OutboxEvent = require('../models/outboxEvent')
+const errors = require('../services/errors')
+
+// Add an event to the outbox, to be delivered as soon as possible
+exports.enqueue = function enqueue (channel, target, payload) {
+  return (new OutboxEvent({ channel: channel, target: target, payload: payload })).save()
+}
+
+// Take the next event to deliver, locking it for the worker.
+// Events locked for longer than lockTimeout (ms) belong to a worker that died, so they are taken again
+exports.claim = function claim (lockTimeout) {
+  const now = new Date()
+  return OutboxEvent.findOneAndUpdate({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - lockTimeout) } }
+    ]
+  }, {
+    $set: { status: 'processing', lockedAt: now }
+  }, {
+    sort: { nextAttemptAt: 1 },
+    new: true
+  })
+}
+
+// Delivered events are kept for retention days (forever if 0)
+exports.markDelivered = function markDelivered (event, { retention }) {
+  event.status = 'delivered'
+  event.attempts += 1
+  event.deliveredAt = new Date()
+  event.expiresAt = retention ? new Date(event.deliveredAt.getTime() + retention * 24 * 60 * 60 * 1000) : null
+  event.lockedAt = null
+  event.lastError = null
+  return event.save()
+}
+
+// Schedule the next attempt with an exponential backoff, or dead-letter the event after maxAttempts
+exports.markFailed = function markFailed (event, error, { maxAttempts, retryDelay }) {
+  event.attempts += 1
+  event.lockedAt = null
+  event.lastError = error.message
+  if (event.attempts >= maxAttempts) {
+    event.status = 'failed'
+  } else {
+    event.status = 'pending'
+    event.nextAttemptAt = new Date(Date.now() + retryDelay * Math.pow(2, event.attempts - 1))
+  }
+  return event.save()
+}
+
+exports.get = function get (query) {
+  return OutboxEvent.findOne(query)
+}
+
+// List the events of the outbox, the newest first
+exports.list = function list (query, { limit, page }) {
+  return OutboxEvent.paginate(query, {
+    page: page,
+    limit: limit,
+    sort: '-createdAt'
+  })
+}
+
+// Deliver again a dead-lettered event
+exports.replay = function replay (id) {
+  return OutboxEvent.findOne({ _id: id })
+    .then((_event) => {
+      if (!_event) throw errors.ErrNotFound('Event not found')
+      if (_event.status !== 'failed') throw errors.ErrBadRequest('Only failed events can be replayed')
+      _event.status = 'pending'
+      _event.attempts = 0
+      _event.nextAttemptAt = new Date()
+      return _event.save()
+    })
+}
+
+// Deliver again all the dead-lettered events
+exports.replayAll = function replayAll (query) {
+  return OutboxEvent.updateMany(Object.assign({}, query, { status: 'failed' }), {
+    $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }
+  })
+}
@@ -0,0 +1,35 @@
+const Subscription = require('../models/subscription')
+
+// Get the subscription of a user to a document
+exports.get = function get (query) {
+  return Subscription.findOne(query)
+}
+
+// Follow a document. Following it twice keeps the first subscription
+exports.subscribe = function subscribe (document, user) {
+  return Subscription.findOneAndUpdate(
+    { document: document, user: user },
+    { $setOnInsert: { document: document, user: user } },
+    { upsert: true, new: true }
+  )
+}
+
+// Stop following a document
+exports.unsubscribe = function unsubscribe (document, user) {
+  return Subscription.deleteOne({ document: document, user: user })
+}
+
+// List the documents that a user follows
+exports.list = function list (query, { limit, page }) {
+  return Subscription.paginate(query, {
+    page: page,
+    limit: limit,
+    sort: '-createdAt',
+    populate: { path: 'document', select: 'author state published currentVersion', match: { deleted: { $ne: true } }, populate: { path: 'currentVersion', select: 'content.title content.imageCover content.closingDate' } }
+  })
+}
+
+// Get the ids of the users that follow a document
+exports.getFollowers = function getFollowers (document) {
+  return Subscription.distinct('user', { document: document })
+}
@@ -0,0 +1,57 @@
+const { Types: { ObjectId } } = require('mongoose')
+const Vote = require('../models/vote')
+
+exports.VALUES = Vote.schema.path('value').enumValues
+
+const emptyResults = () => {
+  let results = { total: 0 }
+  exports.VALUES.forEach((value) => { results[value] = 0 })
+  return results
+}
+
+// Cast the vote of a user on a document, or on one of its articles. Replaces the previous vote
+exports.cast = function cast (document, user, article, value) {
+  return Vote.findOneAndUpdate(
+    { document: document, user: user, article: article },
+    { $set: { value: value } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  )
+}
+
+// Take back the vote of a user on a document, or on one of its articles
+exports.remove = function remove (document, user, article) {
+  return Vote.deleteOne({ document: document, user: user, article: article })
+}
+
+// Get the votes of a user on a document and its articles
+exports.getAll = function getAll (query) {
+  return Vote.find(query).select('article value')
+}
+
+// Count the votes on a document and on each of its articles
+exports.results = async function results (documentId) {
+  const counts = await Vote.aggregate([
+    { $match: { document: ObjectId(documentId) } },
+    { $group: { _id: { article: '$article', value: '$value' }, count: { $sum: 1 } } }
+  ])
+  const voters = await Vote.distinct('user', { document: documentId })
+  let document = emptyResults()
+  let byArticle = {}
+  counts.forEach((count) => {
+    const { article, value } = count._id
+    let results = document
+    if (article !== null) {
+      byArticle[article] = byArticle[article] || emptyResults()
+      results = byArticle[article]
+    }
+    results[value] += count.count
+    results.total += count.count
+  })
+  return {
+    votersCount: voters.length,
+    document: document,
+    articles: Object.keys(byArticle)
+      .map((article) => Object.assign({ article: parseInt(article, 10) }, byArticle[article]))
+      .sort((a, b) => a.article - b.article)
+  }
+}
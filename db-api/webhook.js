@@ -0,0 +1,51 @@
+const crypto = require('crypto')
+const Webhook = require('../models/webhook')
+const errors = require('../services/errors')
+
+exports.EVENTS = Webhook.schema.path('events').caster.enumValues
+
+// Fields that can be changed
+const EDITABLE = ['url', 'secret', 'events', 'description', 'active']
+
+// Create a webhook. Without a secret, a random one is generated
+exports.create = async function create (webhook) {
+  const secret = webhook.secret || crypto.randomBytes(24).toString('hex')
+  return (new Webhook(Object.assign({}, webhook, { secret: secret }))).save()
+}
+
+exports.get = function get (query, withSecret) {
+  if (withSecret) return Webhook.findOne(query).select('+secret')
+  return Webhook.findOne(query)
+}
+
+exports.list = function list (query, { limit, page }) {
+  return Webhook.paginate(query, {
+    page: page,
+    limit: limit,
+    sort: '-createdAt'
+  })
+}
+
+// Get the active webhooks that receive an event
+exports.getSubscribed = function getSubscribed (event) {
+  return Webhook.find({ active: true, events: event })
+}
+
+exports.update = function update (id, webhook) {
+  return Webhook.findOne({ _id: id })
+    .then((_webhook) => {
+      if (!_webhook) throw errors.ErrNotFound('Webhook to update not found')
+      EDITABLE.forEach((key) => {
+        if (webhook[key] !== undefined) _webhook[key] = webhook[key]
+      })
+      return _webhook.save()
+    })
+}
+
+exports.remove = function remove (id) {
+  return Webhook.findOne({ _id: id })
+    .then((_webhook) => {
+      if (!_webhook) throw errors.ErrNotFound('Webhook to remove not found')
+      return _webhook.remove()
+    })
+}
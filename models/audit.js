@@ -0,0 +1,30 @@
+const mongoose = require('mongoose')
+const mongoosePaginate = require('mongoose-paginate')
+
+// Define `Audit` Schema. Each entry records who did what on which resource
+const Audit = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // The route of the API. Ex: PUT /documents/:id
+  action: { type: String, required: true },
+  targetType: { type: String, required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, default: null },
+  path: { type: String },
+  ip: { type: String, default: null },
+  // The changes, between the data before and after the action
+  diff: { type: mongoose.Schema.Types.Mixed, default: null },
+  // The details of the action, like the reason
+  data: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+  // Entries are removed by MongoDB at this date, following the retention rules. Kept forever if null
+  expiresAt: { type: Date, default: null }
+})
+
+Audit.index({ targetType: 1, target: 1, createdAt: -1 })
+Audit.index({ actor: 1, createdAt: -1 })
+Audit.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Model's Plugin Extensions
+Audit.plugin(mongoosePaginate)
+
+// Expose Model
+module.exports = mongoose.model('Audit', Audit)
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose')
+
+// Define `ClosureReport` Schema
+const ClosureReport = new mongoose.Schema({
+  document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true, unique: true },
+  version: { type: mongoose.Schema.Types.ObjectId, ref: 'DocumentVersion' },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  data: { type: mongoose.Schema.Types.Mixed }
+}, {
+  timestamps: true
+})
+
+// Expose Model
+module.exports = mongoose.model('ClosureReport', ClosureReport)
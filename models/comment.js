@@ -11,20 +11,56 @@ const Comment = new mongoose.Schema({
   resolved: { type: Boolean, default: false },
   decoration: { type: mongoose.Schema.Types.Mixed },
   reply: { type: String },
-  when: { type: String }
+  // Replies are comments too, with the comment they answer as parent
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  official: { type: Boolean, default: false },
+  repliesCount: { type: Number, default: 0 },
+  when: { type: String },
+  // Previous contents of the comment. Only for admins
+  history: {
+    type: [{
+      _id: false,
+      content: { type: String },
+      date: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  editedAt: { type: Date, default: null },
+  deleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  // Moderation. Flags are only for moderators
+  flags: {
+    type: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String },
+      date: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  flagsCount: { type: Number, default: 0 },
+  hidden: { type: Boolean, default: false },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  moderatedAt: { type: Date, default: null }
 }, { timestamps: true })
 
+// Set the fields that are not stored: when it was made and the id of its decoration mark
+const format = function (d) {
+  d.when = timeago().format(d.createdAt, 'es_AR')
+  if (d.decoration) {
+    d.decoration.mark.data = {}
+    d.decoration.mark.data.id = d._id
+  }
+  return d
+}
+
 Comment.post('find', function (doc) {
-  doc = doc.map((d) => {
-    d.when = timeago().format(d.createdAt, 'es_AR')
-    if (d.decoration) {
-      d.decoration.mark.data = {}
-      d.decoration.mark.data.id = d._id
-    }
-    return d
-  })
+  doc = doc.map(format)
 })
 
+// Also available for the results of aggregations, that skip the hooks
+Comment.static('format', format)
+
 // Model's Plugin Extensions
 Comment.plugin(mongoosePaginate)
 
@@ -34,19 +34,12 @@ const updateCurrentVersion = function (next) {
   } else {
     // If it is not new, check which paths were modified
     let modifiedPaths = this.modifiedPaths()
-    if (modifiedPaths.length) {
-      let onlyIgnoredPathModified = modifiedPaths.every(function (path) {
-        return ignoredPaths.indexOf(path) >= 0
-      })
-      if (onlyIgnoredPathModified) {
-        // If the ignored paths were modified, do nothing
-        next()
-      } else {
-        // If the fields changed, then it defines a new current version.
-        this.version = this.version + 1
-        next()
-      }
-    }
+    let onlyIgnoredPathModified = modifiedPaths.every(function (path) {
+      return ignoredPaths.indexOf(path) >= 0
+    })
+    // If the fields changed, then it defines a new current version.
+    // Otherwise (no changes, or only the ignored paths) do nothing
+    if (!onlyIgnoredPathModified) this.version = this.version + 1
     next()
   }
 }
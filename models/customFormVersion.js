@@ -0,0 +1,22 @@
+const mongoose = require('mongoose')
+const mongoosePaginate = require('mongoose-paginate')
+
+// Define `CustomFormVersion` Schema. An immutable copy of each version of a custom form
+const CustomFormVersion = new mongoose.Schema({
+  customForm: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomForm', required: true },
+  version: { type: Number, required: true },
+  name: { type: String },
+  slug: { type: String },
+  icon: { type: String },
+  description: { type: String },
+  fields: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now }
+})
+
+CustomFormVersion.index({ customForm: 1, version: 1 }, { unique: true })
+
+// Model's Plugin Extensions
+CustomFormVersion.plugin(mongoosePaginate)
+
+// Expose Model
+module.exports = mongoose.model('CustomFormVersion', CustomFormVersion)
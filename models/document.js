@@ -1,17 +1,55 @@
 const mongoose = require('mongoose')
 const mongoosePaginate = require('mongoose-paginate')
+const lifecycle = require('../services/lifecycle')
+const policy = require('../services/policy')
 
 // Define `Document` Schema
 const Document = new mongoose.Schema({
   author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   customForm: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomForm' },
+  // The version of the custom form that the document follows
+  customFormVersion: { type: Number, default: null },
   currentVersion: { type: mongoose.Schema.Types.ObjectId, ref: 'DocumentVersion' },
+  state: { type: String, enum: Object.values(lifecycle.STATES), default: lifecycle.STATES.DRAFT },
+  stateHistory: [{
+    _id: false,
+    from: { type: String, default: null },
+    state: { type: String },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    date: { type: Date, default: Date.now },
+    // Changes forced by an admin skip the allowed transitions
+    forced: { type: Boolean, default: false },
+    reason: { type: String, default: null }
+  }],
   published: { type: Boolean, required: true, default: false },
-  commentsCount: { type: Number, default: 0 }
+  // Drafts are opened by the scheduler at this date
+  publishDate: { type: Date, default: null },
+  commentsCount: { type: Number, default: 0 },
+  // Users that work on the document with the author
+  collaborators: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String, enum: Object.values(policy.ROLES) },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  // Users that can't comment on the document anymore
+  bannedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Deleted documents are hidden with everything they have, until they are restored or purged
+  deleted: { type: Boolean, default: false },
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
 }, {
   timestamps: true
 })
 
+const updatePublished = function (next) {
+  // `published` is kept for compatibility, it follows the state of the document
+  this.published = lifecycle.isPublished(this.state)
+  next()
+}
+
+Document.pre('save', updatePublished)
+
 // Model's Plugin Extensions
 Document.plugin(mongoosePaginate)
 
@@ -1,16 +1,37 @@
 const mongoose = require('mongoose')
 const mongoosePaginate = require('mongoose-paginate')
+const utils = require('../services/utils')
 
 // Define `DocumentVersion` Schema
 const DocumentVersion = new mongoose.Schema({
   document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
   version: { type: Number, required: true },
   content: { type: mongoose.Schema.Types.Mixed },
-  contributions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comments' }]
+  contributions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comments' }],
+  // If the version is a rollback, the number of the version its content was copied from
+  rollbackFrom: { type: Number, default: null },
+  // If the content was migrated to another version of the custom form, the number of that version
+  migratedTo: { type: Number, default: null },
+  // Denormalized from `content`, used for searching and filtering
+  searchText: { type: String, select: false },
+  closingDate: { type: Date, default: null }
 }, {
   timestamps: true
 })
 
+const updateSearchFields = function (next) {
+  // Before saving, extract the text of the content (plain strings and rich text leaves)
+  this.searchText = utils.getSearchableText(this.content)
+  let closingDate = this.content && this.content.closingDate ? new Date(this.content.closingDate) : null
+  this.closingDate = closingDate && !isNaN(closingDate) ? closingDate : null
+  next()
+}
+
+DocumentVersion.pre('save', updateSearchFields)
+
+// Indexes
+DocumentVersion.index({ searchText: 'text' }, { default_language: 'spanish' })
+
 // Model's Plugin Extensions
 DocumentVersion.plugin(mongoosePaginate)
 
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose')
+
+// Define `Job` Schema. A task of the scheduler, run at a given date
+const Job = new mongoose.Schema({
+  name: { type: String, enum: ['open-document', 'close-document', 'closing-reminder'], required: true },
+  document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+  runAt: { type: Date, required: true },
+  status: { type: String, enum: ['scheduled', 'running', 'done', 'failed', 'cancelled'], default: 'scheduled' },
+  attempts: { type: Number, default: 0 },
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  finishedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+})
+
+Job.index({ status: 1, runAt: 1 })
+Job.index({ document: 1, name: 1, status: 1 })
+
+// Expose Model
+module.exports = mongoose.model('Job', Job)
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose')
 
+// Types of reactions to a comment. A "like" is a support
+const REACTIONS = ['agree', 'disagree', 'clarify', 'support']
+
 const Like = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -10,8 +13,16 @@ const Like = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment',
     required: true
+  },
+  type: {
+    type: String,
+    enum: REACTIONS,
+    default: 'support'
   }
 }, { timestamps: true })
 
+// A user can react once with each type
+Like.index({ comment: 1, user: 1, type: 1 }, { unique: true })
+
 // Expose 'Like' model
 module.exports = mongoose.model('Like', Like)
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose')
+const mongoosePaginate = require('mongoose-paginate')
+
+// Define `Notification` Schema. The in-app notifications of a user
+const Notification = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, required: true },
+  document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', default: null },
+  comment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  data: { type: mongoose.Schema.Types.Mixed, default: null },
+  read: { type: Boolean, default: false },
+  readAt: { type: Date, default: null }
+}, {
+  timestamps: true
+})
+
+Notification.index({ user: 1, read: 1, createdAt: -1 })
+
+// Model's Plugin Extensions
+Notification.plugin(mongoosePaginate)
+
+// Expose Model
+module.exports = mongoose.model('Notification', Notification)
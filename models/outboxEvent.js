@@ -0,0 +1,30 @@
+const mongoose = require('mongoose')
+const mongoosePaginate = require('mongoose-paginate')
+
+// Define `OutboxEvent` Schema. An outgoing message, delivered by the outbox worker through its channel
+const OutboxEvent = new mongoose.Schema({
+  channel: { type: String, required: true },
+  // Where the message goes, like the path of the notifier endpoint
+  target: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  // Failed events were dead-lettered after too many attempts
+  status: { type: String, enum: ['pending', 'processing', 'delivered', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  deliveredAt: { type: Date, default: null },
+  // Delivered events are removed by MongoDB at this date. Kept forever if null
+  expiresAt: { type: Date, default: null }
+}, {
+  timestamps: true
+})
+
+OutboxEvent.index({ status: 1, nextAttemptAt: 1 })
+OutboxEvent.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+// Model's Plugin Extensions
+OutboxEvent.plugin(mongoosePaginate)
+
+// Expose Model
+module.exports = mongoose.model('OutboxEvent', OutboxEvent)
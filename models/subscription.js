@@ -0,0 +1,18 @@
+const mongoose = require('mongoose')
+const mongoosePaginate = require('mongoose-paginate')
+
+// Define `Subscription` Schema. A user that follows a document
+const Subscription = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true }
+}, {
+  timestamps: true
+})
+
+Subscription.index({ document: 1, user: 1 }, { unique: true })
+
+// Model's Plugin Extensions
+Subscription.plugin(mongoosePaginate)
+
+// Expose Model
+module.exports = mongoose.model('Subscription', Subscription)
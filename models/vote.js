@@ -0,0 +1,18 @@
+const mongoose = require('mongoose')
+
+// Define `Vote` Schema
+const Vote = new mongoose.Schema({
+  document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // The number of the article voted, or null if the vote is on the whole document
+  article: { type: Number, default: null },
+  value: { type: String, enum: ['support', 'oppose', 'abstain'], required: true }
+}, {
+  timestamps: true
+})
+
+// One vote per user on the document and on each article
+Vote.index({ document: 1, user: 1, article: 1 }, { unique: true })
+
+// Expose Model
+module.exports = mongoose.model('Vote', Vote)
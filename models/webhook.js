@@ -0,0 +1,33 @@
+const mongoose = require('mongoose')
+const mongoosePaginate = require('mongoose-paginate')
+
+// Events that can be sent to a webhook
+const EVENTS = [
+  'document-created',
+  'document-published',
+  'document-new-version',
+  'document-closed',
+  'comment-created',
+  'comment-resolved',
+  'comment-replied',
+  'comment-liked'
+]
+
+// Define `Webhook` Schema. An integration that receives the events of the platform
+const Webhook = new mongoose.Schema({
+  url: { type: String, required: true, match: /^https?:\/\// },
+  // Signs the payloads. Only shown when the webhook is created
+  secret: { type: String, required: true, select: false },
+  events: { type: [{ type: String, enum: EVENTS }], default: EVENTS },
+  description: { type: String, default: '' },
+  active: { type: Boolean, default: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+})
+
+// Model's Plugin Extensions
+Webhook.plugin(mongoosePaginate)
+
+// Expose Model
+module.exports = mongoose.model('Webhook', Webhook)
@@ -0,0 +1,70 @@
+// Migrates the editable documents of a custom form to another of its versions (the current one by default).
+// Every document is checked first and the failures are reported. Nothing is saved without --commit,
+// nor if any of the documents fails.
+//
+//   npm run documents:migrate -- --form <slug> [--version <number>] [--defaults '<json>'] [--commit]
+const mongoose = require('../services/mongoose')
+const Document = require('../models/document')
+const CustomForm = require('../db-api/customForm')
+const formMigration = require('../services/formMigration')
+const lifecycle = require('../services/lifecycle')
+const log = require('../services/logger')
+
+// Parse the options of the command line
+const parseArgs = (argv) => {
+  let args = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue
+    const name = argv[i].slice(2)
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      args[name] = true
+    } else {
+      args[name] = argv[i + 1]
+      i++
+    }
+  }
+  return args
+}
+
+async function migrate () {
+  const args = parseArgs(process.argv.slice(2))
+  if (!args.form) throw new Error('Missing --form <slug>')
+  if (args.version !== undefined && !/^[1-9]\d*$/.test(args.version)) throw new Error('--version must be a positive integer')
+  const customForm = await CustomForm.get({ slug: args.form })
+  if (!customForm) throw new Error(`Custom form ${args.form} not found`)
+  const target = args.version !== undefined ? await CustomForm.getVersion(customForm._id, parseInt(args.version, 10)) : customForm
+  if (!target) throw new Error(`Version ${args.version} of ${args.form} not found`)
+  const defaults = args.defaults ? JSON.parse(args.defaults) : {}
+  const documents = await Document.find({
+    customForm: customForm._id,
+    deleted: { $ne: true },
+    state: { $in: lifecycle.EDITABLE_STATES },
+    $or: [{ customFormVersion: null }, { customFormVersion: { $lt: target.version } }]
+  }).populate('currentVersion')
+  log.info(`* Checking ${documents.length} documents of ${args.form} against v${target.version}...`)
+  let failures = 0
+  for (const document of documents) {
+    const report = await formMigration.migrate(document, target, defaults, { dryRun: true })
+    if (!report.valid) {
+      failures++
+      log.error(`- ${document._id} (v${report.from}): ${JSON.stringify(report.errors)}`)
+    }
+  }
+  if (failures) throw new Error(`${failures} documents can't be migrated, nothing was saved`)
+  if (!args.commit) {
+    log.info('--> OK, all the documents can be migrated. Run it again with --commit to save them')
+    return
+  }
+  for (const document of documents) {
+    const report = await formMigration.migrate(document, target, defaults, { dryRun: false })
+    log.info(`- ${document._id}: v${report.from} to v${report.to}, version ${report.version.version} of the document`)
+  }
+  log.info('--> OK')
+}
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch((err) => {
+    log.error(err)
+    process.exit(1)
+  })
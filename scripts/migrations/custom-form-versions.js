@@ -0,0 +1,28 @@
+// Keeps a copy of the current version of every custom form, and pins the documents
+// that were saved before the versions were kept to the current version of their custom form.
+const mongoose = require('../../services/mongoose')
+const CustomForm = require('../../models/customForm')
+const Document = require('../../models/document')
+const dbCustomForm = require('../../db-api/customForm')
+const log = require('../../services/logger')
+
+async function migrate () {
+  const customForms = await CustomForm.find({})
+  log.info(`* Pinning the documents of ${customForms.length} custom forms...`)
+  for (const customForm of customForms) {
+    await dbCustomForm.snapshot(customForm)
+    const result = await Document.updateMany(
+      { customForm: customForm._id, customFormVersion: null },
+      { $set: { customFormVersion: customForm.version } }
+    )
+    log.info(`- ${customForm.slug} v${customForm.version}: ${result.nModified} documents`)
+  }
+  log.info('--> OK')
+}
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch((err) => {
+    log.error(err)
+    process.exit(1)
+  })
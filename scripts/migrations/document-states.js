@@ -0,0 +1,30 @@
+// Sets the state of the documents that were saved before the lifecycle existed.
+// Published documents are open, or closed if their closing date has passed. The rest are drafts.
+const mongoose = require('../../services/mongoose')
+const Document = require('../../models/document')
+const lifecycle = require('../../services/lifecycle')
+const log = require('../../services/logger')
+
+async function migrate () {
+  const documents = await Document.find({ state: { $exists: false } }).populate('currentVersion')
+  log.info(`* Setting the state of ${documents.length} documents...`)
+  for (const document of documents) {
+    let state = lifecycle.STATES.DRAFT
+    if (document.published) {
+      // isClosed() checks the closing date of open documents
+      document.state = lifecycle.STATES.OPEN
+      state = lifecycle.isClosed(document) ? lifecycle.STATES.CLOSED : lifecycle.STATES.OPEN
+    }
+    document.state = state
+    document.stateHistory = [{ state: state, user: document.author, date: document.createdAt }]
+    await document.save()
+  }
+  log.info('--> OK')
+}
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch((err) => {
+    log.error(err)
+    process.exit(1)
+  })
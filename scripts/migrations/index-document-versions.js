@@ -0,0 +1,21 @@
+// Fills the search fields (`searchText` and `closingDate`) of the document versions
+// that were saved before they existed. Those fields are set by the pre-save hook.
+const mongoose = require('../../services/mongoose')
+const DocumentVersion = require('../../models/documentVersion')
+const log = require('../../services/logger')
+
+async function migrate () {
+  const versions = await DocumentVersion.find({})
+  log.info(`* Indexing ${versions.length} document versions...`)
+  for (const version of versions) {
+    await version.save()
+  }
+  log.info('--> OK')
+}
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch((err) => {
+    log.error(err)
+    process.exit(1)
+  })
@@ -0,0 +1,31 @@
+// Turns the likes that were saved before the reactions existed into supports,
+// removes the likes that were saved twice, and builds the index that allows one reaction
+// of each type per user and comment.
+const mongoose = require('../../services/mongoose')
+const Like = require('../../models/like')
+const log = require('../../services/logger')
+
+async function migrate () {
+  log.info('* Setting the type of the likes...')
+  const result = await Like.updateMany({ type: { $exists: false } }, { $set: { type: 'support' } })
+  log.info(`--> ${result.nModified} likes are now supports`)
+  log.info('* Removing the repeated likes...')
+  const repeated = await Like.aggregate([
+    { $group: { _id: { comment: '$comment', user: '$user', type: '$type' }, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } }
+  ])
+  // Keep the first like of each user
+  const toRemove = repeated.reduce((ids, group) => ids.concat(group.ids.slice(1)), [])
+  await Like.deleteMany({ _id: { $in: toRemove } })
+  log.info(`--> ${toRemove.length} likes removed`)
+  log.info('* Building the indexes of the likes...')
+  await Like.ensureIndexes()
+  log.info('--> OK')
+}
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch((err) => {
+    log.error(err)
+    process.exit(1)
+  })
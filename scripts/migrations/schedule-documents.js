@@ -0,0 +1,22 @@
+// Schedules the opening and closing jobs of the documents that were saved before the scheduler existed.
+const mongoose = require('../../services/mongoose')
+const Document = require('../../models/document')
+const lifecycle = require('../../services/lifecycle')
+const scheduler = require('../../services/scheduler')
+const log = require('../../services/logger')
+
+async function migrate () {
+  const documents = await Document.find({ state: { $in: [lifecycle.STATES.DRAFT, lifecycle.STATES.IN_REVIEW, lifecycle.STATES.OPEN] } }).select('_id')
+  log.info(`* Scheduling the jobs of ${documents.length} documents...`)
+  for (const document of documents) {
+    await scheduler.scheduleDocument(document._id)
+  }
+  log.info('--> OK')
+}
+
+migrate()
+  .then(() => mongoose.connection.close())
+  .catch((err) => {
+    log.error(err)
+    process.exit(1)
+  })
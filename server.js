@@ -9,6 +9,8 @@ const mongoStore = require('./services/sessions')
 const config = require('./config')
 const log = require('./services/logger')
 const init = require('./scripts/init')
+const outbox = require('./services/outbox')
+const scheduler = require('./services/scheduler')
 const { NODE_ENV } = process.env
 const loggerMiddleware = expressWinston.logger({ winstonInstance: log })
 
@@ -35,6 +37,10 @@ module.exports = (async () => {
     // Apply API routes
     server.use('/', require('./api'))
     await init.checkInit()
+    // Deliver the outgoing messages
+    outbox.start()
+    // Open and close the documents on time
+    scheduler.start()
     return server.listen(config.PORT, (err) => {
       if (err) {
         throw err
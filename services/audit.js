@@ -0,0 +1,79 @@
+const { Types: { ObjectId } } = require('mongoose')
+const Audit = require('../db-api/audit')
+const { AUDIT } = require('../config')
+const utils = require('./utils')
+const log = require('./logger')
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+
+// The kind of target of each resource of the API
+const TARGET_TYPES = {
+  '/community': 'community',
+  '/custom-forms': 'custom-form',
+  '/documents': 'document',
+  '/users': 'user',
+  '/outbox': 'outbox',
+  '/webhooks': 'webhook',
+  '/admin/documents': 'document'
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+// The date when an entry is removed, following the retention rules. Null keeps it forever
+const expiresAt = (targetType, now) => {
+  const days = AUDIT.RETENTION_RULES[targetType] !== undefined ? AUDIT.RETENTION_RULES[targetType] : AUDIT.RETENTION
+  return days > 0 ? new Date(now.getTime() + days * DAY) : null
+}
+
+// Plain JSON, without mongoose documents, ObjectIds nor dates
+const toJson = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+
+// Build the entry of a request that succeeded. The route can complete it with `track()`
+const entryOf = (req, res) => {
+  const resource = req.baseUrl.replace(/^\/api\/v1/, '')
+  const tracked = res.locals.audit || {}
+  const idComment = req.params.idComment
+  const id = idComment || req.params.id
+  const entry = {
+    actor: req.session && req.session.user ? req.session.user._id : null,
+    action: `${req.method} ${resource}${req.route.path}`,
+    targetType: tracked.targetType || (idComment ? 'comment' : TARGET_TYPES[resource] || resource.split('/')[1]),
+    target: tracked.target || (id && ObjectId.isValid(id) ? id : null),
+    path: req.originalUrl,
+    ip: req.ip || null,
+    diff: tracked.before !== undefined || tracked.after !== undefined
+      ? utils.getJsonDiffs(toJson(tracked.before) || {}, toJson(tracked.after) || {}) || null
+      : null,
+    data: toJson(tracked.data) || null,
+    createdAt: new Date()
+  }
+  entry.expiresAt = expiresAt(entry.targetType, entry.createdAt)
+  return entry
+}
+
+// Middleware that records every write operation of the API once it succeeded
+exports.middleware = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next()
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || !req.route) return
+    let entry = null
+    try {
+      entry = entryOf(req, res)
+    } catch (error) {
+      log.error('ERROR Building the audit entry', { meta: { path: req.originalUrl }, message: error.message })
+      return
+    }
+    Audit.record(entry).catch((error) => {
+      log.error('ERROR Saving the audit entry', { meta: { action: entry.action, target: entry.target }, message: error.message })
+    })
+  })
+  next()
+}
+
+// Complete the audit entry of a request: the data before and after the change (to compute the diff),
+// other details in `data`, or the target when it isn't the one of the route
+exports.track = (res, { before, after, data, targetType, target }) => {
+  res.locals.audit = Object.assign(res.locals.audit || {}, { before, after, data, targetType, target })
+}
+
+exports.expiresAt = expiresAt
@@ -0,0 +1,97 @@
+// Templates of the emails sent by the built-in email channel, in Spanish and English
+const { escape, formatDate } = require('./html')
+
+const LANGS = ['es', 'en']
+
+// Each template returns the subject and the paragraphs of the email
+const TEMPLATES = {
+  'comment-resolved': {
+    es: ({ document, comment }) => ({
+      subject: 'Tu comentario fue resuelto',
+      paragraphs: [`El autor de «${document.title}» resolvió tu comentario:`, `«${comment.content}»`]
+    }),
+    en: ({ document, comment }) => ({
+      subject: 'Your comment was resolved',
+      paragraphs: [`The author of "${document.title}" resolved your comment:`, `"${comment.content}"`]
+    })
+  },
+  'comment-liked': {
+    es: ({ document, comment }) => ({
+      subject: 'Al autor le gustó tu comentario',
+      paragraphs: [`El autor de «${document.title}» apoyó tu comentario:`, `«${comment.content}»`]
+    }),
+    en: ({ document, comment }) => ({
+      subject: 'The author liked your comment',
+      paragraphs: [`The author of "${document.title}" liked your comment:`, `"${comment.content}"`]
+    })
+  },
+  'comment-contribution': {
+    es: ({ document, comment }) => ({
+      subject: 'Tu comentario es un aporte',
+      paragraphs: [`Tu comentario fue tenido en cuenta en una nueva versión de «${document.title}»:`, `«${comment.content}»`, '¡Gracias por participar!']
+    }),
+    en: ({ document, comment }) => ({
+      subject: 'Your comment is a contribution',
+      paragraphs: [`Your comment was taken into account in a new version of "${document.title}":`, `"${comment.content}"`, 'Thanks for taking part!']
+    })
+  },
+  'document-closing-soon': {
+    es: ({ document }) => ({
+      subject: `«${document.title}» cierra pronto`,
+      paragraphs: [`El período de participación de «${document.title}» cierra el ${formatDate(document.closingDate)}.`, 'Todavía estás a tiempo de dejar tus comentarios.']
+    }),
+    en: ({ document }) => ({
+      subject: `"${document.title}" closes soon`,
+      paragraphs: [`The participation on "${document.title}" closes on ${formatDate(document.closingDate, 'en-US')}.`, 'There is still time to leave your comments.']
+    })
+  },
+  'document-closed': {
+    es: ({ document }) => ({
+      subject: `«${document.title}» cerró`,
+      paragraphs: [`El período de participación de «${document.title}» terminó.`, 'Gracias por participar. Pronto vas a poder ver los resultados.']
+    }),
+    en: ({ document }) => ({
+      subject: `"${document.title}" is closed`,
+      paragraphs: [`The participation on "${document.title}" is over.`, 'Thanks for taking part. You will see the results soon.']
+    })
+  }
+}
+
+const GREETINGS = {
+  es: (name) => `Hola ${name},`,
+  en: (name) => `Hello ${name},`
+}
+
+const LINKS = {
+  es: 'Ver el documento',
+  en: 'See the document'
+}
+
+exports.hasTemplate = (type) => !!TEMPLATES[type]
+
+// Render an email with the branding of the community.
+// data has the recipient user, the document ({ _id, title, closingDate }), the comment and the url of the document
+exports.render = (type, lang, { user, document, comment, url }, community) => {
+  lang = LANGS.includes(lang) ? lang : LANGS[0]
+  const { subject, paragraphs } = TEMPLATES[type][lang]({ document: document, comment: comment })
+  const lines = [GREETINGS[lang](user.fullname || '')].concat(paragraphs)
+  const color = community && community.mainColor ? community.mainColor : '#425cf4'
+  const name = community ? community.name : ''
+  const logo = community && community.logo ? `<img src="${escape(community.logo)}" alt="${escape(name)}" style="max-height: 60px;" />` : ''
+  const link = url ? `<p><a href="${escape(url)}" style="background: ${escape(color)}; color: #fff; padding: 0.6em 1.2em; text-decoration: none;">${escape(LINKS[lang])}</a></p>` : ''
+  const html = `<!DOCTYPE html>
+<html lang="${lang}">
+<head><meta charset="utf-8" /><title>${escape(subject)}</title></head>
+<body style="font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 600px; margin: 0 auto; padding: 1em; line-height: 1.5;">
+<div style="border-bottom: 4px solid ${escape(color)}; margin-bottom: 1.5em; padding-bottom: 1em;">${logo}<p>${escape(name)}</p></div>
+${lines.map((line) => `<p>${escape(line)}</p>`).join('\n')}
+${link}
+</body>
+</html>
+`
+  return {
+    subject: name ? `${name} - ${subject}` : subject,
+    html: html,
+    text: lines.concat(url ? [`${LINKS[lang]}: ${url}`] : []).join('\n\n')
+  }
+}
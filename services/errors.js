@@ -82,6 +82,14 @@ const ErrClosed = new APIError('The document is closed', {
   status: FORBIDDEN
 })
 
+const ErrInvalidTransition = (from, to) => new APIError(`The document can't go from ${from} to ${to}`, {
+  translationKey: 'INVALID_TRANSITION',
+  status: BAD_REQUEST
+}, {
+  from: from,
+  to: to
+})
+
 const ErrNotAuthorized = (message) => new APIError(message, {
   translationKey: 'NOT_AUTHORIZED',
   status: FORBIDDEN
@@ -128,6 +136,7 @@ module.exports = {
   ErrNotAdminNorOwner,
   ErrForbidden,
   ErrClosed,
+  ErrInvalidTransition,
   ErrInvalidJSONSchema,
   ErrInvalidData
 }
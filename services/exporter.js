@@ -0,0 +1,217 @@
+// Exports the content of a document version to Markdown, HTML and Akoma Ntoso XML
+const html = require('./html')
+const richText = require('./richText')
+
+const FORMATS = {
+  md: { type: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { type: 'text/html; charset=utf-8', extension: 'html' },
+  akn: { type: 'application/akn+xml; charset=utf-8', extension: 'xml' }
+}
+
+// Returns the fields of the content following the order of the blocks of the custom form.
+// Fields that don't belong to a block go at the end.
+const getSections = (content, customForm) => {
+  const { blocks, properties, richText: richTextFields } = customForm.fields
+  const toField = (name) => {
+    return {
+      name: name,
+      title: properties[name] && properties[name].title ? properties[name].title : name,
+      richText: (richTextFields || []).includes(name),
+      value: content[name]
+    }
+  }
+  const isEmpty = (field) => field.value === undefined || field.value === null || field.value === ''
+  let used = []
+  let sections = (blocks || []).map((block) => {
+    used = used.concat(block.fields)
+    return {
+      name: block.name,
+      fields: block.fields.filter((name) => name !== 'title').map(toField).filter((f) => !isEmpty(f))
+    }
+  })
+  const others = Object.keys(content)
+    .filter((name) => name !== 'title' && !used.includes(name) && properties[name])
+    .map(toField)
+    .filter((f) => !isEmpty(f))
+  if (others.length) sections.push({ name: null, fields: others })
+  return sections.filter((section) => section.fields.length)
+}
+
+const valueToString = (value) => {
+  return typeof value === 'object' ? richText.getText(value) || JSON.stringify(value) : String(value)
+}
+
+// ===============================
+// Markdown
+// ===============================
+
+const blockToMarkdown = (block) => {
+  if (richText.ARTICLE_HEADING.test(block.text)) return `#### ${block.text}`
+  if (/heading/.test(block.type)) return `### ${block.text}`
+  if (/list-item/.test(block.type)) return `- ${block.text}`
+  if (/quote/.test(block.type)) return `> ${block.text}`
+  return block.text
+}
+
+const toMarkdown = ({ content, customForm }) => {
+  let lines = [`# ${content.title || ''}`, '']
+  getSections(content, customForm).forEach((section) => {
+    if (section.name) lines.push(`## ${section.name}`, '')
+    section.fields.forEach((field) => {
+      if (field.richText) {
+        lines.push(`### ${field.title}`, '')
+        richText.getBlocks(field.value).forEach((block) => lines.push(blockToMarkdown(block), ''))
+      } else {
+        lines.push(`**${field.title}**: ${valueToString(field.value)}`, '')
+      }
+    })
+  })
+  return lines.join('\n')
+}
+
+// ===============================
+// HTML
+// ===============================
+
+const blockToHtml = (block) => {
+  const text = html.escape(block.text)
+  if (richText.ARTICLE_HEADING.test(block.text)) return `<h4>${text}</h4>`
+  if (/heading/.test(block.type)) return `<h3>${text}</h3>`
+  if (/list-item/.test(block.type)) return `<ul><li>${text}</li></ul>`
+  if (/quote/.test(block.type)) return `<blockquote>${text}</blockquote>`
+  return `<p>${text}</p>`
+}
+
+const toHtml = ({ content, customForm, community }) => {
+  let body = [`<h1>${html.escape(content.title)}</h1>`]
+  getSections(content, customForm).forEach((section) => {
+    if (section.name) body.push(`<h2>${html.escape(section.name)}</h2>`)
+    section.fields.forEach((field) => {
+      if (field.richText) {
+        body.push(`<h3>${html.escape(field.title)}</h3>`)
+        richText.getBlocks(field.value).forEach((block) => body.push(blockToHtml(block)))
+      } else {
+        body.push(`<p><strong>${html.escape(field.title)}</strong>: ${html.escape(valueToString(field.value))}</p>`)
+      }
+    })
+  })
+  return html.page({ title: content.title, body: body.join('\n'), community })
+}
+
+// ===============================
+// Akoma Ntoso
+// ===============================
+
+const AKN_NAMESPACE = 'http://docs.oasis-open.org/legaldocml/ns/akn/3.0'
+const AKN_COUNTRY = 'ar'
+const PROPRIETARY_NAMESPACE = 'urn:leyesabiertas'
+
+const toAkomaNtoso = ({ content, customForm, document, version }) => {
+  const x = html.escape
+  const date = new Date(document.createdAt).toISOString().slice(0, 10)
+  const versionDate = new Date(version.updatedAt || version.createdAt).toISOString().slice(0, 10)
+  const work = `/akn/${AKN_COUNTRY}/bill/${date}/${document._id}`
+  const expression = `${work}/spa@v${version.version}`
+  const author = document.author && document.author.fullname ? document.author.fullname : ''
+  let preamble = []
+  let articles = []
+  let proprietary = []
+  getSections(content, customForm).forEach((section) => {
+    section.fields.forEach((field) => {
+      if (!field.richText) {
+        proprietary.push(`        <la:field name="${x(field.name)}" title="${x(field.title)}">${x(valueToString(field.value))}</la:field>`)
+        return
+      }
+      const fieldArticles = richText.getArticles(field.value)
+      if (fieldArticles.length) {
+        fieldArticles.forEach((article) => {
+          const paragraphs = article.blocks
+            .map((block, index) => index === 0 ? block.text.replace(richText.ARTICLE_HEADING, '').replace(/^[\s°º.:\-–]+/, '') : block.text)
+            .filter((text) => text.trim())
+            .map((text) => `          <p>${x(text)}</p>`)
+          articles.push([
+            `      <article eId="art_${article.number}">`,
+            `        <num>Artículo ${article.number}</num>`,
+            '        <content>',
+            paragraphs.length ? paragraphs.join('\n') : '          <p/>',
+            '        </content>',
+            '      </article>'
+          ].join('\n'))
+        })
+      } else {
+        preamble.push([
+          `      <container name="${x(field.name)}">`,
+          `        <p class="title">${x(field.title)}</p>`,
+          richText.getBlocks(field.value).map((block) => `        <p>${x(block.text)}</p>`).join('\n'),
+          '      </container>'
+        ].join('\n'))
+      }
+    })
+  })
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<akomaNtoso xmlns="${AKN_NAMESPACE}">
+  <bill name="${x(document._id)}">
+    <meta>
+      <identification source="#leyesabiertas">
+        <FRBRWork>
+          <FRBRthis value="${work}/!main"/>
+          <FRBRuri value="${work}"/>
+          <FRBRdate date="${date}" name="creation"/>
+          <FRBRauthor href="#author"/>
+          <FRBRcountry value="${AKN_COUNTRY}"/>
+        </FRBRWork>
+        <FRBRExpression>
+          <FRBRthis value="${expression}/!main"/>
+          <FRBRuri value="${expression}"/>
+          <FRBRdate date="${versionDate}" name="version"/>
+          <FRBRauthor href="#author"/>
+          <FRBRlanguage language="spa"/>
+        </FRBRExpression>
+        <FRBRManifestation>
+          <FRBRthis value="${expression}/!main.xml"/>
+          <FRBRuri value="${expression}.akn"/>
+          <FRBRdate date="${new Date().toISOString().slice(0, 10)}" name="export"/>
+          <FRBRauthor href="#leyesabiertas"/>
+        </FRBRManifestation>
+      </identification>
+      <references source="#leyesabiertas">
+        <TLCOrganization eId="leyesabiertas" href="/ontology/organization/leyesabiertas" showAs="Leyes Abiertas"/>
+        <TLCPerson eId="author" href="/ontology/person/${x(document.author ? document.author._id : '')}" showAs="${x(author)}"/>
+      </references>${proprietary.length ? `
+      <proprietary source="#leyesabiertas" xmlns:la="${PROPRIETARY_NAMESPACE}">
+${proprietary.join('\n')}
+      </proprietary>` : ''}
+    </meta>
+    <preface>
+      <p class="title"><docTitle>${x(content.title)}</docTitle></p>
+    </preface>${preamble.length ? `
+    <preamble>
+${preamble.join('\n')}
+    </preamble>` : ''}
+    <body>
+${articles.join('\n')}
+    </body>
+  </bill>
+</akomaNtoso>
+`
+}
+
+const exporters = {
+  md: toMarkdown,
+  html: toHtml,
+  akn: toAkomaNtoso
+}
+
+// Export a version of a document to the given format
+const exportVersion = (format, { document, version, customForm, community }) => {
+  return exporters[format]({ content: version.content, customForm, document, version, community })
+}
+
+module.exports = {
+  FORMATS,
+  getSections,
+  toMarkdown,
+  toHtml,
+  toAkomaNtoso,
+  exportVersion
+}
@@ -0,0 +1,68 @@
+const { omit } = require('lodash/object')
+const Document = require('../db-api/document')
+const DocumentVersion = require('../db-api/documentVersion')
+const Comment = require('../db-api/comment')
+const CustomForm = require('../db-api/customForm')
+const validator = require('./jsonSchemaValidator')
+
+// Compare two versions of a custom form: the fields that were added, removed or became required
+const compare = (from, to) => {
+  const fromFields = Object.keys(from.fields.properties || {})
+  const toFields = Object.keys(to.fields.properties || {})
+  const fromRequired = from.fields.required || []
+  return {
+    added: toFields.filter((field) => !fromFields.includes(field)),
+    removed: fromFields.filter((field) => !toFields.includes(field)),
+    required: (to.fields.required || []).filter((field) => !fromRequired.includes(field))
+  }
+}
+
+// The content for the target version: without the removed fields, and with the defaults of the fields it doesn't have
+const migrateContent = (content, changes, to, defaults) => {
+  let migrated = omit(content, changes.removed)
+  Object.keys(defaults || {})
+    .filter((field) => (to.fields.properties || {})[field] && migrated[field] === undefined)
+    .forEach((field) => { migrated[field] = defaults[field] })
+  return migrated
+}
+
+// Validate the content against the target version. Returns the errors, or null if it is valid
+const validate = (to, content) => {
+  try {
+    validator.isDataValid(to.fields, content)
+    return null
+  } catch (err) {
+    return err.metadata && err.metadata.errors ? err.metadata.errors : [{ message: err.message }]
+  }
+}
+
+// Migrate a document (with its current version) to another version of its custom form.
+// With dryRun, or if the content is not valid for the target version, nothing is saved: the report tells why
+const migrate = async (document, to, defaults, { dryRun }) => {
+  const from = await CustomForm.getForDocument(document)
+  const changes = compare(from, to)
+  const content = migrateContent(document.currentVersion.content, changes, to, defaults)
+  const errors = validate(to, content)
+  let report = {
+    document: document._id,
+    from: from.version,
+    to: to.version,
+    changes: changes,
+    valid: !errors,
+    errors: errors
+  }
+  if (dryRun || errors) return Object.assign(report, { content: content })
+  const newVersion = await DocumentVersion.migrate(document.currentVersion, content, to)
+  // The comments on the removed fields get resolved
+  report.comments = await Comment.moveToVersion(document.currentVersion._id, newVersion._id, changes.removed)
+  report.version = newVersion
+  await Document.update(document._id, { currentVersion: newVersion._id, customFormVersion: to.version })
+  return report
+}
+
+module.exports = {
+  compare,
+  migrateContent,
+  validate,
+  migrate
+}
@@ -0,0 +1,94 @@
+// Standalone HTML pages, ready to be printed or saved as PDF
+
+const escape = (text) => {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+const formatDate = (date, locale) => {
+  return date ? new Date(date).toLocaleDateString(locale || 'es-AR', { year: 'numeric', month: 'long', day: 'numeric' }) : '-'
+}
+
+// Wrap a body into a full HTML page, with the community branding
+const page = ({ title, body, community, lang }) => {
+  const color = community && community.mainColor ? community.mainColor : '#425cf4'
+  const logo = community && community.logo ? `<img class="logo" src="${escape(community.logo)}" alt="" />` : ''
+  return `<!DOCTYPE html>
+<html lang="${escape(lang || 'es')}">
+<head>
+<meta charset="utf-8" />
+<title>${escape(title)}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 800px; margin: 0 auto; padding: 2em; line-height: 1.5; }
+  header { border-bottom: 4px solid ${escape(color)}; margin-bottom: 2em; padding-bottom: 1em; }
+  header .logo { max-height: 60px; }
+  h1, h2, h3 { font-family: Helvetica, Arial, sans-serif; }
+  h2 { color: ${escape(color)}; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+  th, td { border: 1px solid #ccc; padding: 0.4em 0.6em; text-align: left; vertical-align: top; }
+  @media print {
+    body { max-width: none; padding: 0; }
+    h2 { page-break-after: avoid; }
+    table, blockquote { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<header>${logo}<p>${escape(community ? community.name : '')}</p></header>
+${body}
+</body>
+</html>
+`
+}
+
+const table = (headers, rows) => {
+  const head = headers.map((h) => `<th>${escape(h)}</th>`).join('')
+  const body = rows.map((row) => `<tr>${row.map((cell) => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n')
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`
+}
+
+// Render the closure report of a document
+const closureReport = (report, community) => {
+  const { document, participation, fields, articles, mostLiked, contributors, timeline } = report.data
+  const body = `
+<h1>Informe de cierre: ${escape(document.title)}</h1>
+<p>Autor: ${escape(document.author)}. Fecha de cierre: ${escape(formatDate(document.closingDate))}. Generado el ${escape(formatDate(report.updatedAt || report.createdAt))}.</p>
+<h2>Participación</h2>
+${table(['Comentarios', 'Comentarios contextuales', 'Resueltos', 'Sin resolver', 'Aportes', 'Aportantes'], [[
+    participation.commentsCount,
+    participation.contextualCommentsCount,
+    participation.resolvedCount,
+    participation.unresolvedCount,
+    participation.contributionsCount,
+    participation.contributorsCount
+  ]])}
+<h2>Comentarios por campo</h2>
+${table(['Campo', 'Total', 'Resueltos', 'Sin resolver'], fields.map((f) => [f.title, f.total, f.resolved, f.unresolved]))}
+<h2>Comentarios por artículo</h2>
+${table(['Artículo', 'Total', 'Resueltos', 'Sin resolver'], articles.map((a) => [a.article, a.total, a.resolved, a.unresolved]))}
+<h2>Comentarios más apoyados</h2>
+${mostLiked.map((c) => `<blockquote><p>${escape(c.content)}</p><footer>${escape(c.user)} (${escape(c.likes)} apoyos)</footer></blockquote>`).join('\n')}
+<h2>Aportantes</h2>
+${table(['Nombre', 'Aportes'], contributors.map((c) => [c.fullname, c.contributions]))}
+<h2>Versiones</h2>
+${table(['Versión', 'Fecha', 'Aportes', 'Observaciones'], timeline.map((v) => [
+    v.version,
+    formatDate(v.createdAt),
+    v.contributionsCount,
+    v.rollbackFrom ? `Restaura la versión ${v.rollbackFrom}` : ''
+  ]))}
+`
+  return page({ title: `Informe de cierre: ${document.title}`, body, community })
+}
+
+module.exports = {
+  escape,
+  formatDate,
+  page,
+  table,
+  closureReport
+}
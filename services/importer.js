@@ -0,0 +1,197 @@
+// Imports Markdown or HTML (Ex: a DOCX converted to HTML) into the content of a document
+const richText = require('./richText')
+
+const FORMATS = ['md', 'html']
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  laquo: '«',
+  raquo: '»',
+  ldquo: '“',
+  rdquo: '”',
+  lsquo: '‘',
+  rsquo: '’',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  ordm: 'º',
+  ordf: 'ª',
+  deg: '°',
+  iexcl: '¡',
+  iquest: '¿',
+  aacute: 'á',
+  eacute: 'é',
+  iacute: 'í',
+  oacute: 'ó',
+  uacute: 'ú',
+  Aacute: 'Á',
+  Eacute: 'É',
+  Iacute: 'Í',
+  Oacute: 'Ó',
+  Uacute: 'Ú',
+  ntilde: 'ñ',
+  Ntilde: 'Ñ',
+  uuml: 'ü',
+  Uuml: 'Ü'
+}
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10)
+      // Out of the Unicode range: keep it as it is
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : match
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match
+  })
+}
+
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim()
+
+// Normalize a text to compare it with the titles of the fields
+const normalize = (text) => {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9 ]/gi, '').trim().toLowerCase()
+}
+
+// ===============================
+// Parsers. Both return a list of blocks: { heading, text }
+// ===============================
+
+const stripMarkdown = (text) => {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/(\*|_)(.*?)\1/g, '$2')
+    .replace(/`([^`]*)`/g, '$1')
+}
+
+const parseMarkdown = (source) => {
+  let blocks = []
+  let paragraph = []
+  const flush = () => {
+    if (paragraph.length) blocks.push({ heading: false, text: cleanText(stripMarkdown(paragraph.join(' '))) })
+    paragraph = []
+  }
+  source.split(/\r?\n/).forEach((line) => {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/)
+    const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/)
+    const quote = line.match(/^\s*>\s?(.*)$/)
+    if (heading) {
+      flush()
+      blocks.push({ heading: true, text: cleanText(stripMarkdown(heading[1])) })
+    } else if (item) {
+      flush()
+      blocks.push({ heading: false, text: cleanText(stripMarkdown(item[1])) })
+    } else if (quote) {
+      paragraph.push(quote[1])
+    } else if (!line.trim()) {
+      flush()
+    } else {
+      paragraph.push(line.trim())
+    }
+  })
+  flush()
+  return blocks.filter((block) => block.text)
+}
+
+const parseHtml = (source) => {
+  const cleaned = source
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, ' ')
+  let blocks = []
+  const blockRegex = /<(h[1-6]|p|li|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi
+  let match = blockRegex.exec(cleaned)
+  while (match) {
+    const text = cleanText(decodeEntities(match[2].replace(/<[^>]+>/g, '')))
+    if (text) blocks.push({ heading: /^h/i.test(match[1]), text: text })
+    match = blockRegex.exec(cleaned)
+  }
+  return blocks
+}
+
+// ===============================
+// Content
+// ===============================
+
+// Build the rich text value (Slate) that the editor stores
+const toRichText = (texts) => {
+  return {
+    object: 'value',
+    document: {
+      object: 'document',
+      data: {},
+      nodes: texts.map((text) => {
+        return {
+          object: 'block',
+          type: 'paragraph',
+          data: {},
+          nodes: [{
+            object: 'text',
+            leaves: [{ object: 'leaf', text: text, marks: [] }]
+          }]
+        }
+      })
+    }
+  }
+}
+
+// Split the blocks into the rich text fields of the custom form.
+// A heading with the title (or name) of a field starts that field. Blocks like "Artículo N" go to the articles field.
+// The blocks before any of those go to the first rich text field that is not the articles field.
+const toContent = (blocks, customForm) => {
+  const { properties, richText: richTextFields } = customForm.fields
+  const fields = richTextFields || []
+  const articlesField = fields.find((name) => name === 'articles') ||
+    fields.find((name) => properties[name] && /art[íi]culo/i.test(properties[name].title || ''))
+  const defaultField = fields.find((name) => name !== articlesField) || articlesField
+  const titles = {}
+  fields.forEach((name) => {
+    titles[normalize(name)] = name
+    if (properties[name] && properties[name].title) titles[normalize(properties[name].title)] = name
+  })
+  let content = {}
+  let texts = {}
+  let current = defaultField
+  blocks.forEach((block, index) => {
+    // The first heading is the title of the document
+    if (index === 0 && block.heading && properties.title) {
+      content.title = block.text
+      return
+    }
+    if (block.heading && titles[normalize(block.text)]) {
+      current = titles[normalize(block.text)]
+      return
+    }
+    if (articlesField && richText.ARTICLE_HEADING.test(block.text)) current = articlesField
+    if (!current) return
+    texts[current] = texts[current] || []
+    texts[current].push(block.text)
+  })
+  Object.keys(texts).forEach((name) => {
+    content[name] = toRichText(texts[name])
+  })
+  return content
+}
+
+// Import a source in the given format into the content of a document
+const importContent = (format, source, customForm) => {
+  const blocks = format === 'html' ? parseHtml(source) : parseMarkdown(source)
+  return toContent(blocks, customForm)
+}
+
+module.exports = {
+  FORMATS,
+  decodeEntities,
+  parseMarkdown,
+  parseHtml,
+  toRichText,
+  toContent,
+  importContent
+}
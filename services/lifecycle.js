@@ -0,0 +1,65 @@
+// States of the lifecycle of a document
+const STATES = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in-review',
+  OPEN: 'open',
+  CLOSED: 'closed',
+  CLOSURE_PUBLISHED: 'closure-published',
+  ARCHIVED: 'archived'
+}
+
+// Allowed transitions, from each state to the next ones
+const TRANSITIONS = {
+  [STATES.DRAFT]: [STATES.IN_REVIEW, STATES.OPEN],
+  [STATES.IN_REVIEW]: [STATES.DRAFT, STATES.OPEN],
+  [STATES.OPEN]: [STATES.CLOSED],
+  [STATES.CLOSED]: [STATES.OPEN, STATES.CLOSURE_PUBLISHED],
+  [STATES.CLOSURE_PUBLISHED]: [STATES.ARCHIVED],
+  [STATES.ARCHIVED]: []
+}
+
+// States where the document is public
+const PUBLISHED_STATES = [STATES.OPEN, STATES.CLOSED, STATES.CLOSURE_PUBLISHED, STATES.ARCHIVED]
+
+// States listed by default
+const LISTED_STATES = [STATES.OPEN, STATES.CLOSED, STATES.CLOSURE_PUBLISHED]
+
+// States where the author can still edit the document
+const EDITABLE_STATES = [STATES.DRAFT, STATES.IN_REVIEW, STATES.OPEN, STATES.CLOSED]
+
+const isState = (state) => Object.values(STATES).includes(state)
+
+const canTransition = (from, to) => TRANSITIONS[from] ? TRANSITIONS[from].includes(to) : false
+
+const isPublished = (state) => PUBLISHED_STATES.includes(state)
+
+const hasClosingDatePassed = (document) => {
+  const closingDate = document.currentVersion && document.currentVersion.content ? document.currentVersion.content.closingDate : null
+  return closingDate ? new Date() > new Date(closingDate) : false
+}
+
+// An open document whose closing date has passed is closed too
+const isClosed = (document) => {
+  if (document.state !== STATES.OPEN) return isPublished(document.state)
+  return hasClosingDatePassed(document)
+}
+
+// Participation (comments, likes) is only allowed while the document is open
+const isOpen = (document) => document.state === STATES.OPEN && !isClosed(document)
+
+const isEditable = (document) => EDITABLE_STATES.includes(document.state)
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  PUBLISHED_STATES,
+  LISTED_STATES,
+  EDITABLE_STATES,
+  isState,
+  canTransition,
+  isPublished,
+  hasClosingDatePassed,
+  isClosed,
+  isOpen,
+  isEditable
+}
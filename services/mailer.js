@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer')
+const { EMAIL } = require('../config')
+
+let transport = null
+
+// The SMTP transport is only created when the first email is sent
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: EMAIL.SMTP.HOST,
+      port: EMAIL.SMTP.PORT,
+      secure: EMAIL.SMTP.SECURE,
+      auth: EMAIL.SMTP.USER ? { user: EMAIL.SMTP.USER, pass: EMAIL.SMTP.PASS } : undefined
+    })
+  }
+  return transport
+}
+
+// Send an email. message has the subject, html and text
+exports.send = (to, message) => {
+  return getTransport().sendMail({
+    from: EMAIL.FROM,
+    to: to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text
+  })
+}
@@ -19,10 +19,19 @@ mongoose
 require('../models/user')
 require('../models/community')
 require('../models/customForm')
+require('../models/customFormVersion')
 require('../models/document')
 require('../models/documentVersion')
 require('../models/comment')
 require('../models/like')
+require('../models/closureReport')
+require('../models/vote')
+require('../models/subscription')
+require('../models/notification')
+require('../models/outboxEvent')
+require('../models/webhook')
+require('../models/job')
+require('../models/audit')
 
 const db = mongoose.connection
 
@@ -1,22 +1,101 @@
 const axios = require('axios')
-const { NOTIFIER_URL } = require('../config')
+const config = require('../config')
+const Subscription = require('../db-api/subscription')
+const Notification = require('../db-api/notification')
+const Comment = require('../db-api/comment')
+const Document = require('../db-api/document')
+const Community = require('../db-api/community')
+const User = require('../db-api/user')
 const log = require('./logger')
+const outbox = require('./outbox')
+const mailer = require('./mailer')
+const emails = require('./emails')
 
 const http = axios.create()
 
+// The notifications are kept on the outbox until they are delivered
+outbox.register('notifier', async (event) => {
+  const response = await http.post(`${config.NOTIFIER_URL}${event.target}`, event.payload)
+  log.info(response.data.message, event.payload)
+})
+
+outbox.register('email', async (event) => {
+  await mailer.send(event.target, event.payload)
+  log.info('Email sent', { to: event.target, subject: event.payload.subject })
+})
+
+const useChannel = (channel) => config.NOTIFICATION_CHANNELS.includes(channel)
+
+const enqueue = (channel, target, payload) => {
+  return outbox.enqueue(channel, target, payload).catch((error) => {
+    log.error('ERROR Saving the notification on the outbox', {
+      meta: { channel: channel, payload: payload },
+      message: error.message
+    })
+  })
+}
+
+const send = (path, payload) => {
+  if (!useChannel('notifier')) return
+  return enqueue('notifier', path, payload)
+}
+
+// Render the email of a notification for a user, if it has a template
+const sendEmail = async (notificationType, user, document, comment) => {
+  if (!useChannel('email') || !emails.hasTemplate(notificationType) || !user || !user.email || !document) return
+  try {
+    const community = await Community.get().catch(() => null)
+    const lang = (user.fields && user.fields.lang) || config.EMAIL.LANG
+    const message = emails.render(notificationType, lang, {
+      user: user,
+      document: {
+        _id: document._id,
+        title: document.currentVersion.content.title,
+        closingDate: document.currentVersion.content.closingDate
+      },
+      comment: comment,
+      url: config.WEB_URL ? `${config.WEB_URL}/articulado?id=${document._id}` : null
+    }, community)
+    await enqueue('email', user.email, message)
+  } catch (error) {
+    log.error('ERROR Rendering email', {
+      meta: { type: notificationType, user: user._id, document: document._id },
+      message: error.message
+    })
+  }
+}
+
+// Save the notifications on the inbox of the users. A failure doesn't stop the delivery of the emails
+const saveToInbox = async (notifications) => {
+  try {
+    if (notifications.length) await Notification.createMany(notifications)
+  } catch (error) {
+    log.error('ERROR Saving notifications', {
+      meta: notifications,
+      message: error.message
+    })
+  }
+}
+
 exports.sendCommentNotification = async (notificationType, commentId) => {
   let payload = {
     type: notificationType,
     comment: commentId
   }
-  http.post(`${NOTIFIER_URL}/send-email`, payload).then((response) => {
-    log.info(response.data.message, payload)
-  }).catch((error) => {
-    log.error('ERROR Sending Email', {
+  try {
+    const comment = await Comment.get({ _id: commentId }, true)
+    if (comment && comment.user) {
+      await saveToInbox([{ user: comment.user._id, type: notificationType, document: comment.document, comment: comment._id }])
+      const document = await Document.get({ _id: comment.document })
+      await sendEmail(notificationType, comment.user, document, comment)
+    }
+  } catch (error) {
+    log.error('ERROR Getting the comment of a notification', {
       meta: payload,
       message: error.message
     })
-  })
+  }
+  await send('/send-email', payload)
 }
 
 exports.setDocumentClosesNotification = async (documentId, closingDate) => {
@@ -24,12 +103,49 @@ exports.setDocumentClosesNotification = async (documentId, closingDate) => {
     id: documentId,
     closingDate
   }
-  http.post(`${NOTIFIER_URL}/set-document-closes`, payload).then((response) => {
-    log.info(response.data.message, payload)
-  }).catch((error) => {
-    log.error('ERROR Setting document closes event', {
-      error: error.message,
-      meta: payload
+  try {
+    const document = await Document.get({ _id: documentId })
+    if (document) {
+      await saveToInbox([{ user: document.author._id, type: 'document-closes', document: document._id, data: { closingDate: closingDate } }])
+    }
+  } catch (error) {
+    log.error('ERROR Getting the document of a notification', {
+      meta: payload,
+      message: error.message
+    })
+  }
+  // The scheduler closes the documents and notifies their followers, the notifier only does it on demand
+  if (config.NOTIFIER_DOCUMENT_CLOSES) await send('/set-document-closes', payload)
+}
+
+// Notify the followers of a document, except the user who caused the notification
+exports.sendDocumentNotification = async (notificationType, documentId, { comment, except } = {}) => {
+  let followers = []
+  let document = null
+  try {
+    followers = await Subscription.getFollowers(documentId)
+    document = await Document.get({ _id: documentId })
+  } catch (error) {
+    log.error('ERROR Getting the followers of a document', {
+      meta: { type: notificationType, document: documentId },
+      message: error.message
     })
-  })
+  }
+  followers = followers.filter((user) => !except || !user.equals(except))
+  await saveToInbox(followers.map((user) => {
+    return { user: user, type: notificationType, document: documentId, comment: comment || null }
+  }))
+  for (const follower of followers) {
+    let payload = {
+      type: notificationType,
+      document: documentId,
+      user: follower
+    }
+    if (comment) payload.comment = comment
+    await send('/send-email', payload)
+    if (useChannel('email') && emails.hasTemplate(notificationType)) {
+      const user = await User.get({ _id: follower }, true).catch(() => null)
+      await sendEmail(notificationType, user, document)
+    }
+  }
 }
@@ -0,0 +1,65 @@
+const { OUTBOX } = require('../config')
+const Outbox = require('../db-api/outbox')
+const log = require('./logger')
+
+// The functions that deliver the events of each channel. They throw if the delivery failed
+const handlers = {}
+let timer = null
+let running = false
+
+exports.register = (channel, handler) => {
+  handlers[channel] = handler
+}
+
+exports.enqueue = (channel, target, payload) => {
+  return Outbox.enqueue(channel, target, payload)
+}
+
+exports.deliver = async (event) => {
+  const handler = handlers[event.channel]
+  if (!handler) throw new Error(`There is no handler for the channel ${event.channel}`)
+  await handler(event)
+}
+
+// Deliver the next event of the outbox. Returns false if there was nothing to deliver
+exports.processNext = async () => {
+  const event = await Outbox.claim(OUTBOX.LOCK_TIMEOUT)
+  if (!event) return false
+  try {
+    await exports.deliver(event)
+    await Outbox.markDelivered(event, { retention: OUTBOX.RETENTION })
+  } catch (error) {
+    const failedEvent = await Outbox.markFailed(event, error, {
+      maxAttempts: OUTBOX.MAX_ATTEMPTS,
+      retryDelay: OUTBOX.RETRY_DELAY
+    })
+    log.error(failedEvent.status === 'failed' ? 'ERROR Delivering event, dead-lettered' : 'ERROR Delivering event, will retry', {
+      meta: { id: event._id, channel: event.channel, target: event.target, attempts: failedEvent.attempts },
+      message: error.message
+    })
+  }
+  return true
+}
+
+// Deliver everything that is due, one event at a time
+const poll = async () => {
+  if (running) return
+  running = true
+  try {
+    while (await exports.processNext()) {}
+  } catch (err) {
+    log.error('ERROR Polling the outbox', { message: err.message })
+  }
+  running = false
+}
+
+exports.start = () => {
+  if (timer) return
+  timer = setInterval(poll, OUTBOX.POLL_INTERVAL)
+  log.info('Outbox worker started')
+}
+
+exports.stop = () => {
+  clearInterval(timer)
+  timer = null
+}
@@ -0,0 +1,56 @@
+// Who can do what on a document. The author can do everything, collaborators what their role allows
+const ROLES = {
+  CO_AUTHOR: 'co-author',
+  EDITOR: 'editor',
+  MODERATOR: 'moderator'
+}
+
+const ACTIONS = {
+  // See the document while it is not published
+  READ: 'read',
+  // Change the content and the versions
+  EDIT: 'edit',
+  // Change the state and generate the closure report
+  PUBLISH: 'publish',
+  RESOLVE: 'resolve',
+  // Official replies to the comments
+  REPLY: 'reply',
+  MODERATE: 'moderate',
+  // Add and remove collaborators. Only for the author
+  MANAGE: 'manage'
+}
+
+const PERMISSIONS = {
+  [ROLES.CO_AUTHOR]: [ACTIONS.READ, ACTIONS.EDIT, ACTIONS.PUBLISH, ACTIONS.RESOLVE, ACTIONS.REPLY, ACTIONS.MODERATE],
+  [ROLES.EDITOR]: [ACTIONS.READ, ACTIONS.EDIT],
+  [ROLES.MODERATOR]: [ACTIONS.READ, ACTIONS.RESOLVE, ACTIONS.MODERATE]
+}
+
+const idOf = (user) => user && user._id ? user._id : user
+
+const isAuthor = (user, document) => {
+  return !!user && idOf(document.author).equals(idOf(user))
+}
+
+// The role of the user on the document: "author", a collaborator role or null
+const roleOf = (user, document) => {
+  if (!user) return null
+  if (isAuthor(user, document)) return 'author'
+  const collaborator = (document.collaborators || []).find((c) => idOf(c.user).equals(idOf(user)))
+  return collaborator ? collaborator.role : null
+}
+
+const can = (user, document, action) => {
+  const role = roleOf(user, document)
+  if (role === 'author') return true
+  return role ? PERMISSIONS[role].includes(action) : false
+}
+
+module.exports = {
+  ROLES,
+  ACTIONS,
+  PERMISSIONS,
+  isAuthor,
+  roleOf,
+  can
+}
@@ -0,0 +1,161 @@
+const utils = require('./utils')
+
+// Blocks that start an article, like "Artículo 1" or "ARTICULO 2°.-"
+const ARTICLE_HEADING = /^\s*art[íi]culo\s+(\d+)/i
+
+// Returns the blocks of a rich text value as a list of { type, text }.
+// Supports Slate values (document.nodes) and Draft raw contents (blocks).
+const getBlocks = (value) => {
+  if (!value) return []
+  if (value.document && Array.isArray(value.document.nodes)) {
+    return value.document.nodes.map((node) => {
+      return {
+        type: node.type || 'paragraph',
+        text: utils.getValues(node, 'text').join('')
+      }
+    })
+  }
+  if (Array.isArray(value.blocks)) {
+    return value.blocks.map((block) => {
+      return {
+        type: block.type || 'paragraph',
+        text: block.text || ''
+      }
+    })
+  }
+  return []
+}
+
+// Returns the plain text of a rich text value, one line per block
+const getText = (value) => {
+  return getBlocks(value).map((block) => block.text).join('\n')
+}
+
+// Split a rich text value in articles. Each article starts with a heading block
+// and goes until the next one. The blocks before the first heading are not part of any article.
+const getArticles = (value) => {
+  let articles = []
+  getBlocks(value).forEach((block, index) => {
+    const heading = block.text.match(ARTICLE_HEADING)
+    if (heading) {
+      articles.push({
+        number: parseInt(heading[1], 10),
+        heading: block.text.trim(),
+        start: index,
+        end: index,
+        blocks: [block]
+      })
+    } else if (articles.length) {
+      let article = articles[articles.length - 1]
+      article.end = index
+      article.blocks.push(block)
+    }
+  })
+  return articles
+}
+
+// Returns the index of the block that contains a point (Ex: the anchor of a decoration)
+const getBlockIndex = (value, point) => {
+  if (!point) return -1
+  if (Array.isArray(point.path)) return point.path[0]
+  if (point.key && value && value.document && Array.isArray(value.document.nodes)) {
+    return value.document.nodes.findIndex((node) => {
+      return node.key === point.key || utils.getValues(node, 'key').includes(point.key)
+    })
+  }
+  return -1
+}
+
+// Returns the number of the article that contains a point, or null
+const getArticleAt = (value, point) => {
+  const index = getBlockIndex(value, point)
+  const article = getArticles(value).find((a) => index >= a.start && index <= a.end)
+  return article ? article.number : null
+}
+
+// ===============================
+// Diff
+// ===============================
+
+// Compare two lists by their longest common subsequence.
+// Returns the operations like json-diff does: [' ', item] kept, ['-', item] removed, ['+', item] added
+const diffLists = (a, b) => {
+  let lengths = a.map(() => new Array(b.length + 1).fill(0))
+  lengths.push(new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+  let operations = []
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      operations.push([' ', a[i]])
+      i++
+      j++
+    } else if (j >= b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      operations.push(['-', a[i]])
+      i++
+    } else {
+      operations.push(['+', b[j]])
+      j++
+    }
+  }
+  return operations
+}
+
+// Compare two texts word by word. Consecutive words with the same operation are joined
+const diffWords = (oldText, newText) => {
+  const words = (text) => text.split(/(\s+)/).filter((word) => word)
+  return diffLists(words(oldText), words(newText)).reduce((operations, operation) => {
+    const last = operations[operations.length - 1]
+    if (last && last[0] === operation[0]) {
+      last[1] += operation[1]
+    } else {
+      operations.push(operation.slice())
+    }
+    return operations
+  }, [])
+}
+
+// Compare two rich text values block by block. The blocks that changed are compared word by word:
+// ['~', [[' ', 'Lorem '], ['-', 'ipsum'], ['+', 'dolor']]]. Returns null if their texts are the same
+const diff = (oldValue, newValue) => {
+  const operations = diffLists(getBlocks(oldValue).map((block) => block.text), getBlocks(newValue).map((block) => block.text))
+  let result = []
+  for (let i = 0; i < operations.length; i++) {
+    if (operations[i][0] !== '-') {
+      result.push(operations[i])
+      continue
+    }
+    // The removed blocks followed by added ones were changed, one by one
+    let removed = []
+    while (i < operations.length && operations[i][0] === '-') removed.push(operations[i++][1])
+    let added = []
+    while (i < operations.length && operations[i][0] === '+') added.push(operations[i++][1])
+    i--
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      if (k < removed.length && k < added.length) {
+        result.push(['~', diffWords(removed[k], added[k])])
+      } else if (k < removed.length) {
+        result.push(['-', removed[k]])
+      } else {
+        result.push(['+', added[k]])
+      }
+    }
+  }
+  return result.some((operation) => operation[0] !== ' ') ? result : null
+}
+
+module.exports = {
+  ARTICLE_HEADING,
+  getBlocks,
+  getText,
+  getArticles,
+  getBlockIndex,
+  getArticleAt,
+  diffWords,
+  diff
+}
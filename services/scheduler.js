@@ -0,0 +1,103 @@
+const { SCHEDULER } = require('../config')
+const Job = require('../db-api/job')
+const Document = require('../db-api/document')
+const lifecycle = require('./lifecycle')
+const log = require('./logger')
+const notifier = require('./notifier')
+const webhooks = require('./webhooks')
+
+let timer = null
+let running = false
+
+// What each job does. Jobs check the document again, it could have changed since they were scheduled
+const handlers = {
+  'open-document': async (document) => {
+    if (lifecycle.isPublished(document.state)) return
+    await Document.transition(document._id, lifecycle.STATES.OPEN, null)
+    webhooks.emit('document-published', { document: document._id, author: document.author._id })
+  },
+  'close-document': async (document) => {
+    if (document.state !== lifecycle.STATES.OPEN) return
+    await Document.transition(document._id, lifecycle.STATES.CLOSED, null)
+    notifier.sendDocumentNotification('document-closed', document._id)
+    webhooks.emit('document-closed', { document: document._id })
+  },
+  'closing-reminder': async (document) => {
+    if (document.state !== lifecycle.STATES.OPEN) return
+    notifier.sendDocumentNotification('document-closing-soon', document._id)
+  }
+}
+
+// Schedule the jobs of a document following its publish and closing dates.
+// Call it every time the document changes: the jobs that don't apply anymore are cancelled.
+// Deleted documents have all their jobs cancelled
+exports.scheduleDocument = async (documentId) => {
+  const document = await Document.get({ _id: documentId })
+  if (!document) {
+    for (const name of Object.keys(handlers)) await Job.cancel(name, documentId)
+    return
+  }
+  const now = Date.now()
+  const publishDate = document.publishDate ? new Date(document.publishDate) : null
+  const closingDate = document.currentVersion.content.closingDate ? new Date(document.currentVersion.content.closingDate) : null
+  const willOpen = !lifecycle.isPublished(document.state) && publishDate
+  const mayClose = closingDate && (willOpen || document.state === lifecycle.STATES.OPEN)
+  const reminderDate = closingDate ? new Date(closingDate.getTime() - SCHEDULER.REMINDER_BEFORE) : null
+  const jobs = {
+    'open-document': willOpen ? publishDate : null,
+    'close-document': mayClose ? closingDate : null,
+    'closing-reminder': mayClose && reminderDate.getTime() > now ? reminderDate : null
+  }
+  for (const name of Object.keys(jobs)) {
+    if (jobs[name]) await Job.schedule(name, document._id, jobs[name])
+    else await Job.cancel(name, document._id)
+  }
+}
+
+// The same, for the API: failures are logged and don't stop the request
+exports.reschedule = (documentId) => {
+  return exports.scheduleDocument(documentId).catch((err) => {
+    log.error('ERROR Scheduling the jobs of a document', { meta: { document: documentId }, message: err.message })
+  })
+}
+
+// Run the next job that is due. Returns false if there was nothing to run
+exports.runNext = async () => {
+  const job = await Job.claim(SCHEDULER.LOCK_TIMEOUT)
+  if (!job) return false
+  try {
+    const document = await Document.get({ _id: job.document })
+    if (document) await handlers[job.name](document)
+    await Job.markDone(job)
+    if (document) await exports.scheduleDocument(document._id)
+  } catch (error) {
+    await Job.markFailed(job, error, { maxAttempts: SCHEDULER.MAX_ATTEMPTS, retryDelay: SCHEDULER.RETRY_DELAY })
+    log.error('ERROR Running job', {
+      meta: { id: job._id, name: job.name, document: job.document, attempts: job.attempts },
+      message: error.message
+    })
+  }
+  return true
+}
+
+const poll = async () => {
+  if (running) return
+  running = true
+  try {
+    while (await exports.runNext()) {}
+  } catch (err) {
+    log.error('ERROR Polling the scheduler', { message: err.message })
+  }
+  running = false
+}
+
+exports.start = () => {
+  if (timer) return
+  timer = setInterval(poll, SCHEDULER.POLL_INTERVAL)
+  log.info('Scheduler started')
+}
+
+exports.stop = () => {
+  clearInterval(timer)
+  timer = null
+}
@@ -73,6 +73,16 @@ const hashDocumentText = (document) => {
   return crypto.MD5(getValues(document, 'text').join('')).toString(crypto.enc.Hex)
 }
 
+// return the plain text of a content: its string values plus the text leaves of rich text fields
+const getSearchableText = (content) => {
+  if (!content) return ''
+  let texts = []
+  Object.keys(content).forEach((key) => {
+    if (typeof content[key] === 'string') texts.push(content[key])
+  })
+  return texts.concat(getValues(content, 'text')).join(' ')
+}
+
 const getJsonDiffs = (oldJson, newJson) => {
   return jsonDiff.diff(oldJson, newJson)
 }
@@ -92,6 +102,7 @@ module.exports = {
   getValues,
   getKeys,
   hashDocumentText,
+  getSearchableText,
   allowedFieldsFor,
   getJsonDiffs,
   checkIfAtLeastOneQuery
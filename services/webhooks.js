@@ -0,0 +1,55 @@
+const crypto = require('crypto')
+const axios = require('axios')
+const Webhook = require('../db-api/webhook')
+const log = require('./logger')
+const outbox = require('./outbox')
+
+const http = axios.create({ timeout: 10000 })
+
+// The signature of a payload, to be checked by the receiver with the secret of the webhook
+exports.sign = (secret, body) => {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+}
+
+// Post a payload to a webhook, signed with its secret
+exports.post = (webhook, deliveryId, payload) => {
+  const body = JSON.stringify(payload)
+  return http.post(webhook.url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Leyesabiertas-Event': payload.event,
+      'X-Leyesabiertas-Delivery': String(deliveryId),
+      'X-Leyesabiertas-Signature': exports.sign(webhook.secret, body)
+    }
+  })
+}
+
+outbox.register('webhook', async (event) => {
+  const webhook = await Webhook.get({ _id: event.target }, true)
+  if (!webhook || !webhook.active) {
+    // Nobody is waiting for this event anymore
+    log.info('Webhook removed or disabled, event discarded', { webhook: event.target, event: event.payload.event })
+    return
+  }
+  const response = await exports.post(webhook, event._id, event.payload)
+  log.info('Webhook delivered', { webhook: event.target, event: event.payload.event, status: response.status })
+})
+
+// Send an event to every webhook that receives it
+exports.emit = async (eventType, data) => {
+  try {
+    const webhooks = await Webhook.getSubscribed(eventType)
+    for (const webhook of webhooks) {
+      await outbox.enqueue('webhook', webhook._id.toString(), {
+        event: eventType,
+        data: data,
+        createdAt: new Date()
+      })
+    }
+  } catch (error) {
+    log.error('ERROR Emitting webhook event', {
+      meta: { event: eventType, data: data },
+      message: error.message
+    })
+  }
+}
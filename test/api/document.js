@@ -115,6 +115,17 @@ describe('Documents API (/api/v1/documents)', () => {
           throw err
         })
     })
+    it('GET (/:id/comments) should not list the comments of a deleted document', async () => {
+      const deletedDocument = await (new Document(fake.document(true, true, null, newCustomForm.id))).save()
+      await Document.updateOne({ _id: deletedDocument._id }, { $set: { deleted: true, deletedAt: new Date() } })
+      await agent.get(`/api/v1/documents/${deletedDocument._id}/comments`)
+        .then((res) => {
+          expect(res).to.have.status(status.NOT_FOUND)
+        })
+        .catch((err) => {
+          expect(err).to.have.status(status.NOT_FOUND)
+        })
+    })
   })
   // ===================================================
   describe('As an "Accountable" user (Group member: Accountable - Role: accountable)', () => {
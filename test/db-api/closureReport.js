@@ -0,0 +1,108 @@
+const { expect } = require('chai')
+const rewire = require('rewire')
+const sinon = require('sinon')
+const { Types: { ObjectId } } = require('mongoose')
+
+const articlesValue = (texts) => {
+  return {
+    document: {
+      nodes: texts.map((text) => {
+        return { object: 'block', type: 'paragraph', nodes: [{ object: 'text', leaves: [{ text: text }] }] }
+      })
+    }
+  }
+}
+
+const chain = (result) => {
+  const query = {}
+  query.sort = () => query
+  query.populate = () => query
+  query.lean = () => Promise.resolve(result)
+  return query
+}
+
+describe('ClosureReport DB-APIs', () => {
+  // ===================================================
+  it('ClosureReport.build() should build the data of the report', () => {
+    const closureReport = rewire('../../db-api/closureReport')
+    const versionId = ObjectId()
+    const users = [{ _id: ObjectId(), fullname: 'Ada' }, { _id: ObjectId(), fullname: 'Grace' }]
+    const comments = [
+      { _id: ObjectId(), user: users[0], field: 'articles', version: versionId, resolved: true, content: 'First', decoration: { anchor: { path: [1, 0] } } },
+      { _id: ObjectId(), user: users[1], field: 'articles', version: versionId, resolved: false, content: 'Second', decoration: { anchor: { path: [2, 0] } } },
+      { _id: ObjectId(), user: users[1], field: 'fundation', version: versionId, resolved: false, content: 'Third', decoration: null }
+    ]
+    const versions = [{
+      _id: versionId,
+      version: 1,
+      contributions: [comments[0]._id],
+      content: { articles: articlesValue(['Artículo 1', 'Some text', 'Artículo 2']) }
+    }]
+    const document = {
+      _id: ObjectId(),
+      author: { fullname: 'The author' },
+      currentVersion: { content: { title: 'A title', closingDate: null } },
+      stateHistory: []
+    }
+    const customForm = { fields: { properties: { articles: { title: 'Articles' } } } }
+
+    closureReport.__set__('DocumentVersion', { find: sinon.stub().returns(chain(versions)) })
+    closureReport.__set__('Comment', { find: sinon.stub().returns(chain(comments)) })
+    closureReport.__set__('Like', { aggregate: sinon.stub().resolves([{ _id: comments[1]._id, count: 3 }]) })
+    closureReport.__set__('dbDocumentVersion', { countContributions: sinon.stub().resolves({ contributionsCount: 1, contributorsCount: 1 }) })
+
+    return closureReport.build(document, customForm)
+      .then((data) => {
+        expect(data.participation).to.include({ commentsCount: 3, contextualCommentsCount: 2, resolvedCount: 1, unresolvedCount: 2 })
+        expect(data.fields).to.deep.include({ field: 'articles', title: 'Articles', total: 2, resolved: 1, unresolved: 1 })
+        expect(data.articles).to.deep.equal([
+          { article: 1, total: 1, resolved: 1, unresolved: 0 },
+          { article: 2, total: 1, resolved: 0, unresolved: 1 }
+        ])
+        expect(data.mostLiked).to.have.lengthOf(1)
+        expect(data.mostLiked[0]).to.include({ content: 'Second', user: 'Grace', likes: 3 })
+        expect(data.contributors).to.have.lengthOf(1)
+        expect(data.contributors[0]).to.include({ fullname: 'Ada', contributions: 1 })
+        expect(data.timeline).to.deep.equal([{ version: 1, createdAt: undefined, contributionsCount: 1, rollbackFrom: null }])
+      })
+  })
+  // ===================================================
+  it('ClosureReport.publish() should copy the report into the closure field of the content and publish the document', () => {
+    const closureReport = rewire('../../db-api/closureReport')
+    const updateField = sinon.stub().resolves({})
+    const transition = sinon.stub().resolves({ state: 'closure-published' })
+    closureReport.__set__('dbDocumentVersion', { updateField: updateField })
+    closureReport.__set__('dbDocument', { transition: transition })
+    const document = { _id: ObjectId(), state: 'closed', currentVersion: { _id: ObjectId() } }
+    const report = { _id: ObjectId(), updatedAt: new Date(), data: { participation: {} } }
+    const customForm = { fields: { properties: { closure: { type: 'object' } } } }
+    const user = ObjectId()
+
+    return closureReport.publish(document, report, customForm, user)
+      .then(() => closureReport.publish(document, report, { fields: { properties: {} } }, user))
+      .then((result) => {
+        expect(result).to.deep.equal({ state: 'closure-published' })
+        sinon.assert.calledOnce(updateField)
+        sinon.assert.calledWith(updateField, document.currentVersion._id, 'closure', { report: report._id, updatedAt: report.updatedAt, data: report.data }, customForm)
+        sinon.assert.calledTwice(transition)
+        sinon.assert.calledWith(transition, document._id, 'closure-published', user)
+      })
+  })
+  // ===================================================
+  it('ClosureReport.publish() should not change the state of the document if the report is not valid for the content', () => {
+    const closureReport = rewire('../../db-api/closureReport')
+    const transition = sinon.stub().resolves({})
+    closureReport.__set__('dbDocumentVersion', { updateField: sinon.stub().rejects(new Error('Invalid data')) })
+    closureReport.__set__('dbDocument', { transition: transition })
+    const document = { _id: ObjectId(), state: 'closed', currentVersion: { _id: ObjectId() } }
+    const customForm = { fields: { properties: { closure: { type: 'null' } } } }
+
+    return closureReport.publish(document, { _id: ObjectId(), data: {} }, customForm, ObjectId())
+      .then(() => {
+        throw new Error('It should have failed')
+      }, (err) => {
+        expect(err.message).to.equal('Invalid data')
+        sinon.assert.notCalled(transition)
+      })
+  })
+})
@@ -6,6 +6,7 @@ const { Types: { ObjectId } } = require('mongoose')
 const fake = require('../fake')
 
 const CustomForm = require('../../models/customForm')
+const CustomFormVersion = require('../../models/customFormVersion')
 const customForm = require('../../db-api/customForm')
 
 // Make a sample
@@ -27,6 +28,9 @@ describe('CustomForm DB-APIs', () => {
 
     // override Document inside `document/db-api/document`
     customForm.__set__('CustomForm', CustomFormMock)
+    // the first version is kept too
+    const findOneAndUpdate = sinon.stub().resolves({})
+    customForm.__set__('CustomFormVersion', { findOneAndUpdate })
 
     // call create method
     return customForm.create(customFormSample)
@@ -34,6 +38,7 @@ describe('CustomForm DB-APIs', () => {
         sinon.assert.calledWithNew(CustomFormMock)
         sinon.assert.calledWith(CustomFormMock, customFormSample)
         sinon.assert.calledOnce(save)
+        sinon.assert.calledOnce(findOneAndUpdate)
         expect(result).to.equal(customFormSample)
       })
   })
@@ -65,15 +70,22 @@ describe('CustomForm DB-APIs', () => {
       title: 'Another field added'
     }
 
+    const CustomFormVersionMock = sinon.mock(CustomFormVersion)
+
     CustomFormMock
       .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa' })
       .chain('exec')
       .resolves({ save })
+    CustomFormVersionMock
+      .expects('findOneAndUpdate')
+      .resolves({})
 
     return customForm.update('5a5e29d948a9cc2fbeed02fa', changedSample)
       .then((result) => {
         CustomFormMock.verify()
         CustomFormMock.restore()
+        CustomFormVersionMock.verify()
+        CustomFormVersionMock.restore()
         sinon.assert.calledOnce(save)
         expect(Object.keys(result.fields.properties).length).to.be.equal(Object.keys(changedSample.fields.properties).length)
         expect(result.fields.properties['newField']).to.be.an('object')
@@ -112,4 +124,55 @@ describe('CustomForm DB-APIs', () => {
         sinon.assert.calledOnce(remove)
       })
   })
+  // ===================================================
+  it('CustomForm.getForDocument() should get the version the document is pinned to', () => {
+    const CustomFormMock = sinon.mock(CustomForm)
+    const CustomFormVersionMock = sinon.mock(CustomFormVersion)
+    const id = ObjectId()
+    const pinnedVersion = { customForm: id, version: 2, fields: {} }
+
+    CustomFormMock
+      .expects('findOne').withArgs({ _id: id })
+      .chain('exec')
+      .resolves({ _id: id, version: 5, fields: {} })
+    CustomFormVersionMock
+      .expects('findOne').withArgs({ customForm: id, version: 2 })
+      .chain('exec')
+      .resolves(pinnedVersion)
+
+    return customForm.getForDocument({ customForm: id, customFormVersion: 2 })
+      .then((result) => {
+        CustomFormMock.verify()
+        CustomFormMock.restore()
+        CustomFormVersionMock.verify()
+        CustomFormVersionMock.restore()
+        expect(result).to.equal(pinnedVersion)
+      })
+  })
+  // ===================================================
+  it('CustomForm.getForDocument() should fail if the pinned version is missing and the form has changed', () => {
+    const CustomFormMock = sinon.mock(CustomForm)
+    const CustomFormVersionMock = sinon.mock(CustomFormVersion)
+    const id = ObjectId()
+
+    CustomFormMock
+      .expects('findOne').withArgs({ _id: id })
+      .chain('exec')
+      .resolves({ _id: id, version: 5, fields: {} })
+    CustomFormVersionMock
+      .expects('findOne').withArgs({ customForm: id, version: 2 })
+      .chain('exec')
+      .resolves(null)
+
+    return customForm.getForDocument({ customForm: id, customFormVersion: 2 })
+      .then(() => {
+        throw new Error('It should have failed')
+      }, (err) => {
+        CustomFormMock.verify()
+        CustomFormMock.restore()
+        CustomFormVersionMock.verify()
+        CustomFormVersionMock.restore()
+        expect(err.status).to.equal(404)
+      })
+  })
 })
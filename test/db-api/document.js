@@ -44,7 +44,7 @@ describe('Document DB-APIs', () => {
     const DocumentMock = sinon.mock(Document)
 
     DocumentMock
-      .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa' })
+      .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa', deleted: { $ne: true } })
       .chain('exec')
       .resolves(documentSample)
 
@@ -71,6 +71,38 @@ describe('Document DB-APIs', () => {
       })
   })
   // ===================================================
+  it('Document.search() should list documents with the facets of the results', () => {
+    const DocumentMock = sinon.mock(Document)
+
+    const aggregate = DocumentMock
+      .expects('aggregate')
+      .resolves([{
+        docs: [documentSample],
+        total: [{ count: 1 }],
+        authors: [{ _id: '5b9297921388502c145a952e', count: 1 }],
+        customForms: [],
+        states: [{ _id: 'open', count: 1 }],
+        closed: [{ _id: false, count: 1 }],
+        closingDates: [{ _id: 'none', count: 1 }]
+      }])
+    DocumentMock
+      .expects('populate').twice()
+      .resolves()
+
+    return document.search({ published: true }, { closed: false }, { limit: 10, page: 1 })
+      .then((result) => {
+        DocumentMock.verify()
+        DocumentMock.restore()
+        expect(result.docs).to.have.lengthOf(1)
+        expect(result.total).to.be.equal(1)
+        expect(result.facets.closed).to.deep.equal([{ closed: false, count: 1 }])
+        expect(result.facets.closingDates).to.deep.equal([{ range: 'none', count: 1 }])
+        // The documents closed by their state are left out too
+        const closedFilter = aggregate.firstCall.args[0].find((stage) => stage.$match && stage.$match.$and).$match.$and[0].$nor[0]
+        expect(closedFilter.$or[0]).to.deep.equal({ state: { $in: ['closed', 'closure-published', 'archived'] } })
+      })
+  })
+  // ===================================================
   it('Document.update() should modify a document', () => {
     const DocumentMock = sinon.mock(Document)
     let documentSample = fake.document()
@@ -91,20 +123,131 @@ describe('Document DB-APIs', () => {
       })
   })
   // ===================================================
-  it('Document.remove() should remove a document', () => {
+  it('Document.transition() should change the state of a document', () => {
     const DocumentMock = sinon.mock(Document)
-    const remove = sinon.spy()
+    let documentSample = { state: 'draft', stateHistory: [] }
+    documentSample.save = sinon.spy(() => documentSample)
 
     DocumentMock
       .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa' })
       .chain('exec')
-      .resolves({ remove })
+      .resolves(documentSample)
 
-    return document.remove('5a5e29d948a9cc2fbeed02fa')
+    return document.transition('5a5e29d948a9cc2fbeed02fa', 'open', '5b9297921388502c145a952e')
+      .then((result) => {
+        DocumentMock.verify()
+        DocumentMock.restore()
+        sinon.assert.calledOnce(documentSample.save)
+        expect(result.state).to.be.equal('open')
+        expect(result.stateHistory).to.have.lengthOf(1)
+        expect(result.stateHistory[0]).to.include({ from: 'draft', state: 'open' })
+      })
+  })
+  // ===================================================
+  it('Document.transition() should not allow a transition that is not defined', () => {
+    const DocumentMock = sinon.mock(Document)
+    let documentSample = { state: 'draft', stateHistory: [] }
+    documentSample.save = sinon.spy(() => documentSample)
+
+    DocumentMock
+      .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa' })
+      .chain('exec')
+      .resolves(documentSample)
+
+    return document.transition('5a5e29d948a9cc2fbeed02fa', 'archived', '5b9297921388502c145a952e')
       .then(() => {
+        throw new Error('The transition should have failed')
+      })
+      .catch((err) => {
         DocumentMock.verify()
         DocumentMock.restore()
-        sinon.assert.calledOnce(remove)
+        sinon.assert.notCalled(documentSample.save)
+        expect(err.translationKey).to.be.equal('INVALID_TRANSITION')
+      })
+  })
+  // ===================================================
+  it('Document.transition() should not reopen a document whose closing date has passed', () => {
+    const DocumentMock = sinon.mock(Document)
+    let documentSample = { state: 'closed', stateHistory: [], currentVersion: { content: { closingDate: '2018-01-01T00:00:00.000Z' } } }
+    documentSample.save = sinon.spy(() => documentSample)
+
+    DocumentMock
+      .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa' })
+      .chain('exec')
+      .resolves(documentSample)
+
+    return document.transition('5a5e29d948a9cc2fbeed02fa', 'open', '5b9297921388502c145a952e')
+      .then(() => {
+        throw new Error('The transition should have failed')
+      })
+      .catch((err) => {
+        DocumentMock.verify()
+        DocumentMock.restore()
+        sinon.assert.notCalled(documentSample.save)
+        expect(err.status).to.be.equal(400)
+        expect(err.metadata).to.be.deep.equal({ field: 'closingDate' })
+      })
+  })
+  // ===================================================
+  it('Document.remove() should soft delete a document', () => {
+    const DocumentMock = sinon.mock(Document)
+    let documentSample = { deleted: false }
+    documentSample.save = sinon.spy(() => documentSample)
+
+    DocumentMock
+      .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa', deleted: { $ne: true } })
+      .chain('exec')
+      .resolves(documentSample)
+
+    return document.remove('5a5e29d948a9cc2fbeed02fa', '5a5e29d948a9cc2fbeed02fb')
+      .then((result) => {
+        DocumentMock.verify()
+        DocumentMock.restore()
+        sinon.assert.calledOnce(documentSample.save)
+        expect(result.deleted).to.be.equal(true)
+        expect(result.deletedBy).to.be.equal('5a5e29d948a9cc2fbeed02fb')
+        expect(result.deletedAt).to.be.a('date')
+      })
+  })
+  // ===================================================
+  it('Document.restore() should only restore a deleted document', () => {
+    const DocumentMock = sinon.mock(Document)
+
+    DocumentMock
+      .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa', deleted: true })
+      .chain('exec')
+      .resolves(null)
+
+    return document.restore('5a5e29d948a9cc2fbeed02fa')
+      .then(() => {
+        throw new Error('It should have failed')
+      })
+      .catch((err) => {
+        DocumentMock.verify()
+        DocumentMock.restore()
+        expect(err.status).to.be.equal(404)
+      })
+  })
+  // ===================================================
+  it('Document.transferAuthor() should make the previous author a co-author', () => {
+    const DocumentMock = sinon.mock(Document)
+    const author = ObjectId()
+    const previousAuthor = ObjectId()
+    let documentSample = { author: previousAuthor, collaborators: [{ user: author, role: 'editor' }] }
+    documentSample.save = sinon.spy(() => documentSample)
+
+    DocumentMock
+      .expects('findOne').withArgs({ _id: '5a5e29d948a9cc2fbeed02fa' })
+      .chain('exec')
+      .resolves(documentSample)
+
+    return document.transferAuthor('5a5e29d948a9cc2fbeed02fa', author, true)
+      .then((result) => {
+        DocumentMock.verify()
+        DocumentMock.restore()
+        sinon.assert.calledOnce(documentSample.save)
+        expect(result.author).to.be.equal(author)
+        expect(result.collaborators).to.be.deep.equal([{ user: previousAuthor, role: 'co-author' }])
       })
   })
 })
@@ -0,0 +1,90 @@
+const { expect } = require('chai')
+const rewire = require('rewire')
+const sinon = require('sinon')
+require('sinon-mongoose')
+
+const DocumentVersion = require('../../models/documentVersion')
+const Comment = require('../../models/comment')
+const documentVersion = require('../../db-api/documentVersion')
+
+const richTextValue = (texts) => {
+  return {
+    document: {
+      nodes: texts.map((text) => {
+        return { object: 'block', type: 'paragraph', nodes: [{ object: 'text', leaves: [{ text: text }] }] }
+      })
+    }
+  }
+}
+
+const customFormSample = {
+  fields: {
+    richText: ['articles']
+  }
+}
+
+describe('DocumentVersion DB-APIs', () => {
+  // ===================================================
+  it('DocumentVersion.diff() should compare two versions field by field', () => {
+    const DocumentVersionMock = sinon.mock(DocumentVersion)
+    const CommentMock = sinon.mock(Comment)
+    const versions = [
+      { version: 1, contributions: [], content: { title: 'A title', articles: richTextValue(['Artículo 1', 'Old text']) } },
+      { version: 2, contributions: ['5bbe939984792f07bc3113b5'], content: { title: 'A title', articles: richTextValue(['Artículo 1', 'New text']) } }
+    ]
+
+    DocumentVersionMock
+      .expects('find').withArgs({ document: '5a5e29d948a9cc2fbeed02fa', version: { $in: [1, 2] } })
+      .chain('lean')
+      .resolves(versions)
+    DocumentVersionMock
+      .expects('find').withArgs({ document: '5a5e29d948a9cc2fbeed02fa', version: { $gt: 1, $lte: 2 } })
+      .chain('lean')
+      .resolves([versions[1]])
+    CommentMock
+      .expects('find').withArgs({ _id: { $in: ['5bbe939984792f07bc3113b5'] }, hidden: { $ne: true } })
+      .chain('populate')
+      .resolves([{ _id: '5bbe939984792f07bc3113b5' }])
+
+    return documentVersion.diff('5a5e29d948a9cc2fbeed02fa', 1, 2, customFormSample)
+      .then((result) => {
+        DocumentVersionMock.verify()
+        DocumentVersionMock.restore()
+        CommentMock.verify()
+        CommentMock.restore()
+        expect(result.changes).to.not.have.property('title')
+        expect(result.changes).to.have.property('articles')
+        expect(result.changes.articles.richText).to.be.equal(true)
+        expect(result.changes.articles.diff).to.deep.equal([
+          [' ', 'Artículo 1'],
+          ['~', [['-', 'Old'], ['+', 'New'], [' ', ' text']]]
+        ])
+        expect(result.contributions).to.have.lengthOf(1)
+      })
+  })
+  // ===================================================
+  it('DocumentVersion.rollback() should create a new version with the content of a previous one', () => {
+    const documentVersion = rewire('../../db-api/documentVersion')
+    const source = { version: 1, content: { title: 'A title' } }
+    const currentVersion = { document: '5a5e29d948a9cc2fbeed02fa', version: 3, content: { title: 'Another title' } }
+
+    const DocumentVersionMock = sinon.spy()
+    DocumentVersionMock.findOne = sinon.stub().resolves(source)
+    DocumentVersionMock.prototype.save = () => { return Promise.resolve(source) }
+    documentVersion.__set__('DocumentVersion', DocumentVersionMock)
+    documentVersion.__set__('validator', { isDataValid: () => true })
+
+    return documentVersion.rollback(currentVersion, 1, customFormSample)
+      .then(() => {
+        sinon.assert.calledWith(DocumentVersionMock.findOne, { document: '5a5e29d948a9cc2fbeed02fa', version: 1 })
+        sinon.assert.calledWithNew(DocumentVersionMock)
+        sinon.assert.calledWith(DocumentVersionMock, {
+          document: '5a5e29d948a9cc2fbeed02fa',
+          version: 4,
+          content: { title: 'A title' },
+          contributions: [],
+          rollbackFrom: 1
+        })
+      })
+  })
+})
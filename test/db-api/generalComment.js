@@ -37,4 +37,122 @@ describe('Comment DB-APIs', () => {
         expect(result).to.equal(commentSample)
       })
   })
+  // ===================================================
+  it('Comment.edit() should edit a comment and keep its history', () => {
+    const CommentMock = sinon.mock(Comment)
+    let commentSample = { content: 'Old content', history: [] }
+    commentSample.save = sinon.spy(() => commentSample)
+
+    CommentMock
+      .expects('findOne').withArgs({ _id: '5bbe939984792f07bc3113b5' })
+      .chain('select').withArgs('+history')
+      .resolves(commentSample)
+
+    return comment.edit({ _id: '5bbe939984792f07bc3113b5' }, 'New content')
+      .then((result) => {
+        CommentMock.verify()
+        CommentMock.restore()
+        sinon.assert.calledOnce(commentSample.save)
+        expect(result.content).to.be.equal('New content')
+        expect(result.editedAt).to.be.a('date')
+        expect(result.history).to.have.lengthOf(1)
+        expect(result.history[0].content).to.be.equal('Old content')
+      })
+  })
+  // ===================================================
+  it('Comment.remove() should soft delete a comment', () => {
+    const CommentMock = sinon.mock(Comment)
+    let commentSample = { content: 'Some content', deleted: false }
+    commentSample.save = sinon.spy(() => commentSample)
+
+    CommentMock
+      .expects('findOne').withArgs({ _id: '5bbe939984792f07bc3113b5' })
+      .chain('exec')
+      .resolves(commentSample)
+
+    return comment.remove({ _id: '5bbe939984792f07bc3113b5' })
+      .then((result) => {
+        CommentMock.verify()
+        CommentMock.restore()
+        sinon.assert.calledOnce(commentSample.save)
+        expect(result.deleted).to.be.equal(true)
+        expect(result.deletedAt).to.be.a('date')
+        expect(result.content).to.be.equal('Some content')
+      })
+  })
+  // ===================================================
+  it('Comment.createReply() should create a reply and count it on its comment', () => {
+    const comment = rewire('../../db-api/comment')
+    const parent = { _id: '5bbe939984792f07bc3113b5', document: '5a5e29d948a9cc2fbeed02fa', field: 'articles' }
+    const replyData = { user: '5bbe939984792fdbbc2143a1', version: '5bbe939984792fdbbc2143ff', content: 'A reply', official: true }
+
+    const CommentMock = sinon.spy()
+    CommentMock.prototype.save = () => { return Promise.resolve(replyData) }
+    CommentMock.updateOne = sinon.stub().resolves()
+    comment.__set__('Comment', CommentMock)
+
+    return comment.createReply(parent, replyData)
+      .then(() => {
+        sinon.assert.calledWithNew(CommentMock)
+        sinon.assert.calledWith(CommentMock, {
+          user: '5bbe939984792fdbbc2143a1',
+          document: '5a5e29d948a9cc2fbeed02fa',
+          version: '5bbe939984792fdbbc2143ff',
+          field: 'articles',
+          content: 'A reply',
+          parent: '5bbe939984792f07bc3113b5',
+          official: true
+        })
+        sinon.assert.calledWith(CommentMock.updateOne, { _id: '5bbe939984792f07bc3113b5' }, { $inc: { repliesCount: 1 } })
+      })
+  })
+  // ===================================================
+  it('Comment.flag() should flag a comment only once per user', () => {
+    const CommentMock = sinon.mock(Comment)
+    const user = ObjectId('5bbe939984792fdbbc2143a1')
+    let commentSample = { flags: [{ user: user, reason: 'Spam' }], flagsCount: 1 }
+    commentSample.save = sinon.spy(() => commentSample)
+
+    CommentMock
+      .expects('findOne').withArgs({ _id: '5bbe939984792f07bc3113b5' })
+      .chain('select').withArgs('+flags')
+      .resolves(commentSample)
+
+    return comment.flag({ _id: '5bbe939984792f07bc3113b5' }, user, 'Offensive')
+      .then((result) => {
+        CommentMock.verify()
+        CommentMock.restore()
+        sinon.assert.calledOnce(commentSample.save)
+        expect(result.flagsCount).to.be.equal(1)
+        expect(result.flags[0].reason).to.be.equal('Offensive')
+      })
+  })
+  // ===================================================
+  it('Comment.list() should paginate and sort the comments by likes', () => {
+    const CommentMock = sinon.mock(Comment)
+    const commentSample = { _id: ObjectId('5bbe939984792f07bc3113b5'), content: 'A comment', likes: 2, isLiked: false }
+
+    CommentMock
+      .expects('aggregate')
+      .resolves([{ docs: [commentSample], total: [{ count: 11 }] }])
+    CommentMock
+      .expects('populate')
+      .resolves([commentSample])
+
+    return comment.list({ document: ObjectId('5bbe939984792fdbbc2143a1') }, { limit: 10, page: 2, sort: 'liked' })
+      .then((result) => {
+        const [pipeline] = CommentMock.expectations.aggregate[0].args[0]
+        CommentMock.verify()
+        CommentMock.restore()
+        const docsStages = pipeline[1].$facet.docs
+        const sortIndex = docsStages.findIndex((stage) => stage.$sort)
+        const lookupIndex = docsStages.findIndex((stage) => stage.$lookup)
+        expect(lookupIndex).to.be.below(sortIndex)
+        expect(docsStages[sortIndex].$sort).to.have.property('likes', -1)
+        expect(docsStages[sortIndex + 1]).to.be.deep.equal({ $skip: 10 })
+        expect(result.total).to.be.equal(11)
+        expect(result.page).to.be.equal(2)
+        expect(result.docs[0].likes).to.be.equal(2)
+      })
+  })
 })
@@ -64,4 +64,41 @@ describe('Like DB-APIs', () => {
         sinon.assert.calledOnce(remove)
       })
   })
-})
\ No newline at end of file
+  // ===================================================
+  it('Like.toggle() should take back a reaction that was already there', () => {
+    const LikeMock = sinon.mock(LikeModel)
+    const remove = sinon.spy()
+
+    LikeMock
+      .expects('findOne').withArgs({
+        user: '5bbe939984792fdbbc2143a1',
+        comment: '5bbe939984792f07bc3113b5',
+        type: 'clarify'
+      })
+      .resolves({ remove })
+
+    return dbLike.toggle('5bbe939984792fdbbc2143a1', '5bbe939984792f07bc3113b5', 'clarify')
+      .then((result) => {
+        LikeMock.verify()
+        LikeMock.restore()
+        sinon.assert.calledOnce(remove)
+        expect(result).to.be.equal(null)
+      })
+  })
+  // ===================================================
+  it('Like.toggle() should keep the reaction added by a request at the same time', () => {
+    const existing = { type: 'agree' }
+    const findOne = sinon.stub(LikeModel, 'findOne')
+    findOne.onFirstCall().resolves(null)
+    findOne.onSecondCall().resolves(existing)
+    const save = sinon.stub(LikeModel.prototype, 'save').rejects(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+
+    return dbLike.toggle('5bbe939984792fdbbc2143a1', '5bbe939984792f07bc3113b5', 'agree')
+      .then((result) => {
+        findOne.restore()
+        save.restore()
+        sinon.assert.calledTwice(findOne)
+        expect(result).to.be.equal(existing)
+      })
+  })
+})
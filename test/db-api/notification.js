@@ -0,0 +1,47 @@
+const { expect } = require('chai')
+const sinon = require('sinon')
+require('sinon-mongoose')
+
+const NotificationModel = require('../../models/notification')
+const dbNotification = require('../../db-api/notification')
+
+describe('Notification DB-APIs', () => {
+  // ===================================================
+  it('Notification.markRead() should mark a notification of the user as read', () => {
+    const NotificationMock = sinon.mock(NotificationModel)
+    let notification = { read: false, readAt: null }
+    notification.save = sinon.spy(() => notification)
+    const query = { _id: '5bbe939984792f07bc2143a2', user: '5bbe939984792f07bc3113b5' }
+
+    NotificationMock
+      .expects('findOne').withArgs(query)
+      .resolves(notification)
+
+    return dbNotification.markRead(query)
+      .then((result) => {
+        NotificationMock.verify()
+        NotificationMock.restore()
+        sinon.assert.calledOnce(notification.save)
+        expect(result.read).to.be.equal(true)
+        expect(result.readAt).to.be.a('date')
+      })
+  })
+  // ===================================================
+  it('Notification.markRead() should fail with the notifications of other users', () => {
+    const NotificationMock = sinon.mock(NotificationModel)
+
+    NotificationMock
+      .expects('findOne')
+      .resolves(null)
+
+    return dbNotification.markRead({ _id: '5bbe939984792f07bc2143a2', user: '5bbe939984792f07bc3113b5' })
+      .then(() => {
+        throw new Error('It should have failed')
+      })
+      .catch((err) => {
+        NotificationMock.verify()
+        NotificationMock.restore()
+        expect(err.status).to.be.equal(404)
+      })
+  })
+})
@@ -0,0 +1,75 @@
+const { expect } = require('chai')
+const sinon = require('sinon')
+require('sinon-mongoose')
+
+const OutboxEventModel = require('../../models/outboxEvent')
+const dbOutbox = require('../../db-api/outbox')
+
+const eventSample = (attempts) => {
+  let event = { status: 'processing', attempts: attempts, lockedAt: new Date() }
+  event.save = sinon.spy(() => Promise.resolve(event))
+  return event
+}
+
+describe('Outbox DB-APIs', () => {
+  // ===================================================
+  it('Outbox.markFailed() should retry with an exponential backoff', () => {
+    const event = eventSample(2)
+    const now = Date.now()
+
+    return dbOutbox.markFailed(event, new Error('connect ECONNREFUSED'), { maxAttempts: 5, retryDelay: 1000 })
+      .then((result) => {
+        sinon.assert.calledOnce(event.save)
+        expect(result.status).to.be.equal('pending')
+        expect(result.attempts).to.be.equal(3)
+        expect(result.lastError).to.be.equal('connect ECONNREFUSED')
+        expect(result.lockedAt).to.be.equal(null)
+        // Third attempt failed, the next one waits 4 times the delay
+        expect(result.nextAttemptAt.getTime()).to.be.within(now + 4000, Date.now() + 4000)
+      })
+  })
+  // ===================================================
+  it('Outbox.markFailed() should dead-letter the event after the last attempt', () => {
+    const event = eventSample(4)
+
+    return dbOutbox.markFailed(event, new Error('Request failed with status code 500'), { maxAttempts: 5, retryDelay: 1000 })
+      .then((result) => {
+        expect(result.status).to.be.equal('failed')
+        expect(result.attempts).to.be.equal(5)
+      })
+  })
+  // ===================================================
+  it('Outbox.replay() should only replay failed events', () => {
+    const OutboxEventMock = sinon.mock(OutboxEventModel)
+    let event = { status: 'delivered' }
+
+    OutboxEventMock
+      .expects('findOne').withArgs({ _id: '5bbe939984792f07bc2143a2' })
+      .resolves(event)
+
+    return dbOutbox.replay('5bbe939984792f07bc2143a2')
+      .then(() => {
+        throw new Error('It should have failed')
+      })
+      .catch((err) => {
+        OutboxEventMock.verify()
+        OutboxEventMock.restore()
+        expect(err.status).to.be.equal(400)
+      })
+  })
+  // ===================================================
+  it('Outbox.markDelivered() should expire the event after the retention', () => {
+    const now = Date.now()
+
+    return dbOutbox.markDelivered(eventSample(0), { retention: 2 })
+      .then((result) => {
+        expect(result.status).to.be.equal('delivered')
+        expect(result.attempts).to.be.equal(1)
+        expect(result.expiresAt.getTime()).to.be.within(now + 2 * 86400000, Date.now() + 2 * 86400000)
+        return dbOutbox.markDelivered(eventSample(0), { retention: 0 })
+      })
+      .then((result) => {
+        expect(result.expiresAt).to.be.equal(null)
+      })
+  })
+})
@@ -0,0 +1,41 @@
+const { expect } = require('chai')
+const sinon = require('sinon')
+require('sinon-mongoose')
+
+const SubscriptionModel = require('../../models/subscription')
+const dbSubscription = require('../../db-api/subscription')
+
+describe('Subscription DB-APIs', () => {
+  // ===================================================
+  it('Subscription.subscribe() should keep a single subscription per user', () => {
+    const SubscriptionMock = sinon.mock(SubscriptionModel)
+    const query = { document: '5bbe939984792fdbbc2143a1', user: '5bbe939984792f07bc3113b5' }
+    const subscription = Object.assign({ _id: '5bbe939984792f07bc2143a2' }, query)
+
+    SubscriptionMock
+      .expects('findOneAndUpdate').withArgs(query, { $setOnInsert: query }, { upsert: true, new: true })
+      .resolves(subscription)
+
+    return dbSubscription.subscribe('5bbe939984792fdbbc2143a1', '5bbe939984792f07bc3113b5')
+      .then((result) => {
+        SubscriptionMock.verify()
+        SubscriptionMock.restore()
+        expect(result).to.equal(subscription)
+      })
+  })
+  // ===================================================
+  it('Subscription.getFollowers() should get the users that follow a document', () => {
+    const SubscriptionMock = sinon.mock(SubscriptionModel)
+
+    SubscriptionMock
+      .expects('distinct').withArgs('user', { document: '5bbe939984792fdbbc2143a1' })
+      .resolves(['5bbe939984792f07bc3113b5'])
+
+    return dbSubscription.getFollowers('5bbe939984792fdbbc2143a1')
+      .then((result) => {
+        SubscriptionMock.verify()
+        SubscriptionMock.restore()
+        expect(result).to.be.deep.equal(['5bbe939984792f07bc3113b5'])
+      })
+  })
+})
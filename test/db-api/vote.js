@@ -0,0 +1,56 @@
+const { expect } = require('chai')
+const sinon = require('sinon')
+require('sinon-mongoose')
+
+const VoteModel = require('../../models/vote')
+const dbVote = require('../../db-api/vote')
+
+describe('Vote DB-APIs', () => {
+  // ===================================================
+  it('Vote.cast() should replace the previous vote of the user', () => {
+    const VoteMock = sinon.mock(VoteModel)
+    const vote = { article: 2, value: 'oppose' }
+
+    VoteMock
+      .expects('findOneAndUpdate').withArgs(
+        { document: '5bbe939984792fdbbc2143a1', user: '5bbe939984792f07bc3113b5', article: 2 },
+        { $set: { value: 'oppose' } }
+      )
+      .resolves(vote)
+
+    return dbVote.cast('5bbe939984792fdbbc2143a1', '5bbe939984792f07bc3113b5', 2, 'oppose')
+      .then((result) => {
+        VoteMock.verify()
+        VoteMock.restore()
+        expect(result).to.equal(vote)
+      })
+  })
+  // ===================================================
+  it('Vote.results() should count the votes on the document and its articles', () => {
+    const VoteMock = sinon.mock(VoteModel)
+
+    VoteMock
+      .expects('aggregate')
+      .resolves([
+        { _id: { article: null, value: 'support' }, count: 3 },
+        { _id: { article: null, value: 'oppose' }, count: 1 },
+        { _id: { article: 2, value: 'abstain' }, count: 2 },
+        { _id: { article: 1, value: 'support' }, count: 1 }
+      ])
+    VoteMock
+      .expects('distinct').withArgs('user', { document: '5bbe939984792fdbbc2143a1' })
+      .resolves(['a', 'b', 'c', 'd', 'e'])
+
+    return dbVote.results('5bbe939984792fdbbc2143a1')
+      .then((result) => {
+        VoteMock.verify()
+        VoteMock.restore()
+        expect(result.votersCount).to.be.equal(5)
+        expect(result.document).to.be.deep.equal({ total: 4, support: 3, oppose: 1, abstain: 0 })
+        expect(result.articles).to.be.deep.equal([
+          { article: 1, total: 1, support: 1, oppose: 0, abstain: 0 },
+          { article: 2, total: 2, support: 0, oppose: 0, abstain: 2 }
+        ])
+      })
+  })
+})
@@ -0,0 +1,86 @@
+const EventEmitter = require('events')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const { Types: { ObjectId } } = require('mongoose')
+const dbAudit = require('../../db-api/audit')
+const audit = require('../../services/audit')
+
+// A request that went through the router of the documents
+const fakeRequest = (method, user) => ({
+  method: method,
+  baseUrl: '/api/v1/documents',
+  route: { path: '/:id/comments/:idComment/resolve' },
+  params: { id: '5a5e29d948a9cc2fbeed02fa', idComment: '5a5e29d948a9cc2fbeed02fb' },
+  originalUrl: '/api/v1/documents/5a5e29d948a9cc2fbeed02fa/comments/5a5e29d948a9cc2fbeed02fb/resolve',
+  ip: '127.0.0.1',
+  session: { user: user }
+})
+
+const fakeResponse = (statusCode) => Object.assign(new EventEmitter(), { statusCode: statusCode, locals: {} })
+
+describe('Audit', () => {
+  let record
+
+  beforeEach(() => {
+    record = sinon.stub(dbAudit, 'record').resolves()
+  })
+
+  afterEach(() => {
+    record.restore()
+  })
+
+  // ===================================================
+  it('audit.middleware() should record the write operations that succeeded, with their diff', () => {
+    const user = { _id: ObjectId() }
+    const req = fakeRequest('POST', user)
+    const res = fakeResponse(200)
+    const next = sinon.spy()
+
+    audit.middleware(req, res, next)
+    audit.track(res, { before: { resolved: false }, after: { resolved: true } })
+    res.emit('finish')
+
+    sinon.assert.calledOnce(next)
+    sinon.assert.calledOnce(record)
+    const entry = record.firstCall.args[0]
+    expect(entry.actor).to.be.equal(user._id)
+    expect(entry.action).to.be.equal('POST /documents/:id/comments/:idComment/resolve')
+    expect(entry.targetType).to.be.equal('comment')
+    expect(entry.target).to.be.equal('5a5e29d948a9cc2fbeed02fb')
+    expect(entry.ip).to.be.equal('127.0.0.1')
+    expect(entry.diff).to.be.deep.equal({ resolved: { __old: false, __new: true } })
+    expect(entry.expiresAt).to.be.a('date')
+  })
+  // ===================================================
+  it('audit.middleware() should record the entity created by the route as the target', () => {
+    const req = Object.assign(fakeRequest('POST', { _id: ObjectId() }), {
+      route: { path: '/' },
+      params: {},
+      originalUrl: '/api/v1/documents'
+    })
+    const res = fakeResponse(201)
+    const created = ObjectId()
+
+    audit.middleware(req, res, () => {})
+    audit.track(res, { after: { state: 'draft' }, target: created })
+    res.emit('finish')
+
+    const entry = record.firstCall.args[0]
+    expect(entry.action).to.be.equal('POST /documents/')
+    expect(entry.targetType).to.be.equal('document')
+    expect(entry.target).to.be.equal(created)
+    expect(entry.diff).to.be.deep.equal({ state__added: 'draft' })
+  })
+  // ===================================================
+  it('audit.middleware() should skip the reads and the failed requests', () => {
+    const failed = fakeResponse(403)
+    const read = fakeResponse(200)
+
+    audit.middleware(fakeRequest('POST', null), failed, () => {})
+    audit.middleware(fakeRequest('GET', null), read, () => {})
+    failed.emit('finish')
+    read.emit('finish')
+
+    sinon.assert.notCalled(record)
+  })
+})
@@ -0,0 +1,33 @@
+const { expect } = require('chai')
+const emails = require('../../services/emails')
+
+const data = {
+  user: { fullname: 'Ada Lovelace' },
+  document: { _id: '5bbe939984792fdbbc2143a1', title: 'Ley de <datos>', closingDate: new Date(2026, 11, 1) },
+  comment: { content: 'Agregar un artículo' },
+  url: 'http://localhost/articulado?id=5bbe939984792fdbbc2143a1'
+}
+const community = { name: 'Leyes abiertas', mainColor: '#123456', logo: 'http://localhost/logo.png' }
+
+describe('Email templates', () => {
+  // ===================================================
+  it('emails.render() should render a template with the branding of the community', () => {
+    const email = emails.render('comment-resolved', 'es', data, community)
+    expect(email.subject).to.be.equal('Leyes abiertas - Tu comentario fue resuelto')
+    expect(email.html).to.include('Hola Ada Lovelace,')
+    expect(email.html).to.include('«Ley de &lt;datos&gt;»')
+    expect(email.html).to.include('#123456')
+    expect(email.html).to.include('src="http://localhost/logo.png"')
+    expect(email.text).to.include('Ver el documento: http://localhost/articulado?id=5bbe939984792fdbbc2143a1')
+  })
+  // ===================================================
+  it('emails.render() should render in English, and in Spanish for unknown languages', () => {
+    expect(emails.render('document-closing-soon', 'en', data, community).text).to.include('closes on December 1, 2026')
+    expect(emails.render('document-closed', 'fr', data, null).subject).to.be.equal('«Ley de <datos>» cerró')
+  })
+  // ===================================================
+  it('emails.hasTemplate() should only find the templates of the emails', () => {
+    expect(emails.hasTemplate('comment-contribution')).to.be.equal(true)
+    expect(emails.hasTemplate('document-author-reply')).to.be.equal(false)
+  })
+})
@@ -0,0 +1,62 @@
+const { expect } = require('chai')
+const exporter = require('../../services/exporter')
+
+// A rich text value (Slate) with a paragraph for each text
+const slate = (texts) => ({
+  document: {
+    nodes: texts.map((text) => ({ type: 'paragraph', nodes: [{ object: 'text', leaves: [{ text: text }] }] }))
+  }
+})
+
+const customForm = {
+  fields: {
+    blocks: [
+      { name: 'Articulado', fields: ['articles'] },
+      { name: 'Datos', fields: ['title', 'fundation'] }
+    ],
+    properties: {
+      title: { type: 'string' },
+      fundation: { type: 'object', title: 'Fundamentos' },
+      articles: { type: 'object', title: 'Artículos' },
+      budget: { type: 'string', title: 'Impacto <presupuestario>' }
+    },
+    richText: ['fundation', 'articles']
+  }
+}
+
+const content = {
+  title: 'Ley <de> "ejemplo" & más',
+  fundation: slate(['Lorem <b>ipsum</b>']),
+  articles: slate(['Artículo 1: Dolor & sit', 'Amet', 'Artículo 2.- "Consectetur"']),
+  budget: 'Ninguno <0>'
+}
+
+const document = { _id: '5a5e29d948a9cc2fbeed02fa', createdAt: '2018-10-10T00:00:00Z', author: { _id: '5a5e29d948a9cc2fbeed02fb', fullname: 'Ana' } }
+const version = { version: 2, createdAt: '2018-10-11T00:00:00Z', content: content }
+
+describe('Exporter', () => {
+  // ===================================================
+  it('exporter.getSections() should follow the order of the blocks of the custom form', () => {
+    const sections = exporter.getSections(content, customForm)
+    expect(sections.map((section) => section.name)).to.be.deep.equal(['Articulado', 'Datos', null])
+    expect(sections.map((section) => section.fields.map((field) => field.name))).to.be.deep.equal([['articles'], ['fundation'], ['budget']])
+  })
+  // ===================================================
+  it('exporter.toHtml() should escape the content', () => {
+    const result = exporter.toHtml({ content, customForm })
+    expect(result).to.include('<h1>Ley &lt;de&gt; &quot;ejemplo&quot; &amp; más</h1>')
+    expect(result).to.include('<p>Lorem &lt;b&gt;ipsum&lt;/b&gt;</p>')
+    expect(result).to.include('<strong>Impacto &lt;presupuestario&gt;</strong>: Ninguno &lt;0&gt;')
+    expect(result).to.not.include('<b>ipsum</b>')
+  })
+  // ===================================================
+  it('exporter.toAkomaNtoso() should number the articles and keep the other fields as proprietary', () => {
+    const result = exporter.exportVersion('akn', { document, version, customForm })
+    expect(result).to.include('<docTitle>Ley &lt;de&gt; &quot;ejemplo&quot; &amp; más</docTitle>')
+    expect(result).to.include('<article eId="art_1">')
+    expect(result).to.include('<p>Dolor &amp; sit</p>')
+    expect(result).to.include('<article eId="art_2">')
+    expect(result).to.include('<p>&quot;Consectetur&quot;</p>')
+    expect(result).to.match(/<proprietary [^>]*>\s*<la:field name="budget" title="Impacto &lt;presupuestario&gt;">Ninguno &lt;0&gt;<\/la:field>\s*<\/proprietary>/)
+  })
+})
@@ -0,0 +1,52 @@
+const { expect } = require('chai')
+const formMigration = require('../../services/formMigration')
+
+const from = {
+  version: 1,
+  fields: {
+    properties: {
+      title: { type: 'string' },
+      brief: { type: 'string' },
+      oldField: { type: 'string' }
+    },
+    required: ['title']
+  }
+}
+
+const to = {
+  version: 2,
+  fields: {
+    properties: {
+      title: { type: 'string' },
+      brief: { type: 'string' },
+      budgetImpact: { type: 'string' }
+    },
+    required: ['title', 'brief', 'budgetImpact']
+  }
+}
+
+describe('Form migration', () => {
+  // ===================================================
+  it('formMigration.compare() should find the added, removed and required fields', () => {
+    expect(formMigration.compare(from, to)).to.be.deep.equal({
+      added: ['budgetImpact'],
+      removed: ['oldField'],
+      required: ['brief', 'budgetImpact']
+    })
+  })
+  // ===================================================
+  it('formMigration.migrateContent() should drop the removed fields and fill the defaults', () => {
+    const content = { title: 'Ley', oldField: 'Lorem' }
+    const changes = formMigration.compare(from, to)
+    const migrated = formMigration.migrateContent(content, changes, to, { budgetImpact: 'None', title: 'Other', unknown: 'x' })
+    expect(migrated).to.be.deep.equal({ title: 'Ley', budgetImpact: 'None' })
+    expect(content.oldField).to.be.equal('Lorem')
+  })
+  // ===================================================
+  it('formMigration.validate() should report the errors of the content for the target version', () => {
+    expect(formMigration.validate(to, { title: 'Ley', brief: 'Lorem', budgetImpact: 'None' })).to.be.equal(null)
+    const errors = formMigration.validate(to, { title: 'Ley', budgetImpact: 'None' })
+    expect(errors).to.be.an('array')
+    expect(errors).to.have.lengthOf(1)
+  })
+})
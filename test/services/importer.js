@@ -0,0 +1,51 @@
+const { expect } = require('chai')
+const importer = require('../../services/importer')
+
+const customForm = {
+  fields: {
+    properties: {
+      title: { type: 'string' },
+      fundation: { type: 'object', title: 'Fundamentos' },
+      articles: { type: 'object', title: 'Articulado' }
+    },
+    richText: ['fundation', 'articles']
+  }
+}
+
+// The texts of the paragraphs of a rich text value
+const texts = (value) => value.document.nodes.map((node) => node.nodes[0].leaves[0].text)
+
+describe('Importer', () => {
+  // ===================================================
+  it('importer.parseMarkdown() should get the headings, list items and quotes', () => {
+    const source = '# Ley de **ejemplo**\n\nLorem\nipsum\n\n- Uno\n2. Dos\n\n> Una [cita](http://example.com)\n> larga'
+    expect(importer.parseMarkdown(source)).to.be.deep.equal([
+      { heading: true, text: 'Ley de ejemplo' },
+      { heading: false, text: 'Lorem ipsum' },
+      { heading: false, text: 'Uno' },
+      { heading: false, text: 'Dos' },
+      { heading: false, text: 'Una cita larga' }
+    ])
+  })
+  // ===================================================
+  it('importer.parseHtml() should get the blocks and decode the entities', () => {
+    const source = '<head><title>x</title></head><h1>Ley</h1><!-- nota --><p class="a">Art&iacute;culo&nbsp;1:<br>&laquo;<b>Lorem</b>&raquo; &#233;&#x41;</p><li>Uno</li>'
+    expect(importer.parseHtml(source)).to.be.deep.equal([
+      { heading: true, text: 'Ley' },
+      { heading: false, text: 'Artículo 1: «Lorem» éA' },
+      { heading: false, text: 'Uno' }
+    ])
+  })
+  // ===================================================
+  it('importer.decodeEntities() should keep the entities it cannot decode', () => {
+    expect(importer.decodeEntities('&#1114112; &#x110000; &unknown; &amp;')).to.be.equal('&#1114112; &#x110000; &unknown; &')
+  })
+  // ===================================================
+  it('importer.importContent() should split the blocks by the titles of the fields and the articles', () => {
+    const source = '# Ley de ejemplo\n\nIntroducción\n\n## Fundamentos\n\nLorem ipsum\n\nArtículo 1: Dolor sit amet\n\nArtículo 2: Consectetur'
+    const content = importer.importContent('md', source, customForm)
+    expect(content.title).to.be.equal('Ley de ejemplo')
+    expect(texts(content.fundation)).to.be.deep.equal(['Introducción', 'Lorem ipsum'])
+    expect(texts(content.articles)).to.be.deep.equal(['Artículo 1: Dolor sit amet', 'Artículo 2: Consectetur'])
+  })
+})
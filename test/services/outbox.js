@@ -0,0 +1,92 @@
+const http = require('http')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const config = require('../../config')
+const dbOutbox = require('../../db-api/outbox')
+const outbox = require('../../services/outbox')
+// Registers the notifier channel
+require('../../services/notifier')
+
+describe('Outbox worker', () => {
+  let server
+  let received = []
+  let responseStatus = 200
+  const notifierUrl = config.NOTIFIER_URL
+
+  // A local stub of the notifier
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        received.push({ url: req.url, body: JSON.parse(body) })
+        res.writeHead(responseStatus, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ message: 'OK' }))
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      config.NOTIFIER_URL = `http://127.0.0.1:${server.address().port}`
+      done()
+    })
+  })
+
+  after((done) => {
+    config.NOTIFIER_URL = notifierUrl
+    server.close(done)
+  })
+
+  beforeEach(() => {
+    received = []
+    responseStatus = 200
+    sinon.stub(dbOutbox, 'markDelivered').callsFake((event) => Promise.resolve(event))
+    sinon.stub(dbOutbox, 'markFailed').callsFake((event) => Promise.resolve(Object.assign({}, event, { status: 'pending' })))
+  })
+
+  afterEach(() => {
+    dbOutbox.claim.restore()
+    dbOutbox.markDelivered.restore()
+    dbOutbox.markFailed.restore()
+  })
+
+  const eventSample = () => {
+    return { _id: 'a', channel: 'notifier', target: '/send-email', payload: { type: 'comment-resolved', comment: 'b' } }
+  }
+
+  // ===================================================
+  it('outbox.processNext() should deliver the notifier events', () => {
+    const event = eventSample()
+    sinon.stub(dbOutbox, 'claim').resolves(event)
+
+    return outbox.processNext()
+      .then((result) => {
+        expect(result).to.be.equal(true)
+        expect(received).to.be.deep.equal([{ url: '/send-email', body: event.payload }])
+        sinon.assert.calledWith(dbOutbox.markDelivered, event, { retention: 30 })
+        sinon.assert.notCalled(dbOutbox.markFailed)
+      })
+  })
+  // ===================================================
+  it('outbox.processNext() should keep the event if the notifier fails', () => {
+    const event = eventSample()
+    responseStatus = 500
+    sinon.stub(dbOutbox, 'claim').resolves(event)
+
+    return outbox.processNext()
+      .then((result) => {
+        expect(result).to.be.equal(true)
+        expect(received).to.have.lengthOf(1)
+        sinon.assert.notCalled(dbOutbox.markDelivered)
+        sinon.assert.calledWith(dbOutbox.markFailed, event, sinon.match({ message: 'Request failed with status code 500' }))
+      })
+  })
+  // ===================================================
+  it('outbox.processNext() should return false if there is nothing to deliver', () => {
+    sinon.stub(dbOutbox, 'claim').resolves(null)
+
+    return outbox.processNext()
+      .then((result) => {
+        expect(result).to.be.equal(false)
+        expect(received).to.have.lengthOf(0)
+      })
+  })
+})
@@ -0,0 +1,37 @@
+const { expect } = require('chai')
+const { Types: { ObjectId } } = require('mongoose')
+const policy = require('../../services/policy')
+
+const author = { _id: ObjectId() }
+const coAuthor = { _id: ObjectId() }
+const editor = { _id: ObjectId() }
+const moderator = { _id: ObjectId() }
+const document = {
+  author: author,
+  collaborators: [
+    { user: coAuthor, role: 'co-author' },
+    { user: editor._id, role: 'editor' },
+    { user: moderator, role: 'moderator' }
+  ]
+}
+
+describe('Policy', () => {
+  // ===================================================
+  it('policy.roleOf() should find the role of the user on the document', () => {
+    expect(policy.roleOf(author, document)).to.be.equal('author')
+    expect(policy.roleOf(editor, document)).to.be.equal('editor')
+    expect(policy.roleOf({ _id: ObjectId() }, document)).to.be.equal(null)
+    expect(policy.roleOf(null, document)).to.be.equal(null)
+  })
+  // ===================================================
+  it('policy.can() should follow the permissions of each role', () => {
+    expect(policy.can(author, document, 'manage')).to.be.equal(true)
+    expect(policy.can(coAuthor, document, 'manage')).to.be.equal(false)
+    expect(policy.can(coAuthor, document, 'publish')).to.be.equal(true)
+    expect(policy.can(editor, document, 'edit')).to.be.equal(true)
+    expect(policy.can(editor, document, 'moderate')).to.be.equal(false)
+    expect(policy.can(moderator, document, 'resolve')).to.be.equal(true)
+    expect(policy.can(moderator, document, 'edit')).to.be.equal(false)
+    expect(policy.can({ _id: ObjectId() }, document, 'read')).to.be.equal(false)
+  })
+})
@@ -0,0 +1,34 @@
+const { expect } = require('chai')
+const richText = require('../../services/richText')
+
+// A rich text value (Slate) with a paragraph for each text
+const slate = (texts) => ({
+  document: {
+    nodes: texts.map((text) => ({ type: 'paragraph', nodes: [{ object: 'text', leaves: [{ text: text }] }] }))
+  }
+})
+
+describe('Rich text', () => {
+  // ===================================================
+  it('richText.diffWords() should compare two texts word by word', () => {
+    expect(richText.diffWords('Lorem ipsum dolor sit amet', 'Lorem dolor sit amet, consectetur')).to.deep.equal([
+      [' ', 'Lorem '],
+      ['-', 'ipsum '],
+      [' ', 'dolor sit '],
+      ['-', 'amet'],
+      ['+', 'amet, consectetur']
+    ])
+  })
+  // ===================================================
+  it('richText.diff() should compare the changed blocks word by word and keep the added and removed ones', () => {
+    const oldValue = slate(['Artículo 1', 'Lorem ipsum dolor', 'Removed block'])
+    const newValue = slate(['Artículo 1', 'Lorem ipsum sit', 'Added block', 'Another block'])
+    expect(richText.diff(oldValue, newValue)).to.deep.equal([
+      [' ', 'Artículo 1'],
+      ['~', [[' ', 'Lorem ipsum '], ['-', 'dolor'], ['+', 'sit']]],
+      ['~', [['-', 'Removed'], ['+', 'Added'], [' ', ' block']]],
+      ['+', 'Another block']
+    ])
+    expect(richText.diff(oldValue, slate(['Artículo 1', 'Lorem ipsum dolor', 'Removed block']))).to.be.equal(null)
+  })
+})
@@ -0,0 +1,85 @@
+const { expect } = require('chai')
+const sinon = require('sinon')
+const dbJob = require('../../db-api/job')
+const dbDocument = require('../../db-api/document')
+const notifier = require('../../services/notifier')
+const webhooks = require('../../services/webhooks')
+const scheduler = require('../../services/scheduler')
+
+const DAY = 24 * 60 * 60 * 1000
+
+const documentSample = (state, publishDate, closingDate) => {
+  return {
+    _id: '5bbe939984792fdbbc2143a1',
+    author: { _id: '5bbe939984792f07bc3113b5' },
+    state: state,
+    publishDate: publishDate,
+    currentVersion: { content: { closingDate: closingDate } }
+  }
+}
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    sinon.stub(dbJob, 'schedule').resolves()
+    sinon.stub(dbJob, 'cancel').resolves()
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  // ===================================================
+  it('scheduler.scheduleDocument() should schedule the closing and the reminder of an open document', () => {
+    const closingDate = new Date(Date.now() + 5 * DAY)
+    sinon.stub(dbDocument, 'get').resolves(documentSample('open', null, closingDate))
+
+    return scheduler.scheduleDocument('5bbe939984792fdbbc2143a1')
+      .then(() => {
+        sinon.assert.calledWith(dbJob.schedule, 'close-document', '5bbe939984792fdbbc2143a1', closingDate)
+        sinon.assert.calledWith(dbJob.schedule, 'closing-reminder', '5bbe939984792fdbbc2143a1', new Date(closingDate.getTime() - 2 * DAY))
+        sinon.assert.calledWith(dbJob.cancel, 'open-document', '5bbe939984792fdbbc2143a1')
+      })
+  })
+  // ===================================================
+  it('scheduler.scheduleDocument() should schedule the opening of a draft, and skip a reminder in the past', () => {
+    const publishDate = new Date(Date.now() + DAY / 2)
+    const closingDate = new Date(Date.now() + DAY)
+    sinon.stub(dbDocument, 'get').resolves(documentSample('draft', publishDate, closingDate))
+
+    return scheduler.scheduleDocument('5bbe939984792fdbbc2143a1')
+      .then(() => {
+        sinon.assert.calledWith(dbJob.schedule, 'open-document', '5bbe939984792fdbbc2143a1', publishDate)
+        sinon.assert.calledWith(dbJob.schedule, 'close-document', '5bbe939984792fdbbc2143a1', closingDate)
+        sinon.assert.calledWith(dbJob.cancel, 'closing-reminder', '5bbe939984792fdbbc2143a1')
+      })
+  })
+  // ===================================================
+  it('scheduler.scheduleDocument() should cancel the jobs of a closed document', () => {
+    sinon.stub(dbDocument, 'get').resolves(documentSample('closed', null, new Date(Date.now() + DAY)))
+
+    return scheduler.scheduleDocument('5bbe939984792fdbbc2143a1')
+      .then(() => {
+        sinon.assert.notCalled(dbJob.schedule)
+        sinon.assert.calledThrice(dbJob.cancel)
+      })
+  })
+  // ===================================================
+  it('scheduler.runNext() should close an open document and notify its followers', () => {
+    const job = { _id: 'a', name: 'close-document', document: '5bbe939984792fdbbc2143a1', attempts: 1 }
+    sinon.stub(dbJob, 'claim').resolves(job)
+    sinon.stub(dbJob, 'markDone').resolves(job)
+    sinon.stub(dbDocument, 'get').resolves(documentSample('open', null, new Date()))
+    sinon.stub(dbDocument, 'transition').resolves()
+    sinon.stub(notifier, 'sendDocumentNotification').resolves()
+    sinon.stub(webhooks, 'emit').resolves()
+
+    return scheduler.runNext()
+      .then((result) => {
+        expect(result).to.be.equal(true)
+        sinon.assert.calledWith(dbDocument.transition, '5bbe939984792fdbbc2143a1', 'closed', null)
+        sinon.assert.calledWith(notifier.sendDocumentNotification, 'document-closed', '5bbe939984792fdbbc2143a1')
+        sinon.assert.calledWith(webhooks.emit, 'document-closed')
+        sinon.assert.calledWith(dbJob.markDone, job)
+      })
+  })
+})
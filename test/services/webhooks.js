@@ -0,0 +1,82 @@
+const crypto = require('crypto')
+const http = require('http')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const dbWebhook = require('../../db-api/webhook')
+const outbox = require('../../services/outbox')
+const webhooks = require('../../services/webhooks')
+
+describe('Webhooks', () => {
+  let server
+  let url
+  let received = []
+
+  // A local stub of an integration
+  before((done) => {
+    server = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: body })
+        res.writeHead(204)
+        res.end()
+      })
+    })
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/hooks`
+      done()
+    })
+  })
+
+  after((done) => {
+    server.close(done)
+  })
+
+  beforeEach(() => {
+    received = []
+  })
+
+  // ===================================================
+  it('the outbox should deliver the events signed with the secret of the webhook', () => {
+    const webhook = { _id: '5bbe939984792f07bc2143a2', url: url, secret: 'shhh', active: true }
+    const payload = { event: 'comment-created', data: { document: '5bbe939984792fdbbc2143a1' }, createdAt: new Date() }
+    sinon.stub(dbWebhook, 'get').resolves(webhook)
+
+    return outbox.deliver({ _id: 'delivery-id', channel: 'webhook', target: webhook._id, payload: payload })
+      .then(() => {
+        sinon.assert.calledWith(dbWebhook.get, { _id: webhook._id }, true)
+        dbWebhook.get.restore()
+        expect(received).to.have.lengthOf(1)
+        const { headers, body } = received[0]
+        const signature = 'sha256=' + crypto.createHmac('sha256', 'shhh').update(body).digest('hex')
+        expect(JSON.parse(body).event).to.be.equal('comment-created')
+        expect(headers['x-leyesabiertas-event']).to.be.equal('comment-created')
+        expect(headers['x-leyesabiertas-delivery']).to.be.equal('delivery-id')
+        expect(headers['x-leyesabiertas-signature']).to.be.equal(signature)
+      })
+  })
+  // ===================================================
+  it('the outbox should discard the events of disabled webhooks', () => {
+    sinon.stub(dbWebhook, 'get').resolves({ url: url, secret: 'shhh', active: false })
+
+    return outbox.deliver({ _id: 'delivery-id', channel: 'webhook', target: '5bbe939984792f07bc2143a2', payload: { event: 'document-closed' } })
+      .then(() => {
+        dbWebhook.get.restore()
+        expect(received).to.have.lengthOf(0)
+      })
+  })
+  // ===================================================
+  it('webhooks.emit() should put the event on the outbox of each webhook that receives it', () => {
+    sinon.stub(dbWebhook, 'getSubscribed').resolves([{ _id: 'a' }, { _id: 'b' }])
+    sinon.stub(outbox, 'enqueue').resolves()
+
+    return webhooks.emit('document-published', { document: '5bbe939984792fdbbc2143a1' })
+      .then(() => {
+        sinon.assert.calledWith(dbWebhook.getSubscribed, 'document-published')
+        sinon.assert.calledTwice(outbox.enqueue)
+        sinon.assert.calledWith(outbox.enqueue, 'webhook', 'b', sinon.match({ event: 'document-published', data: { document: '5bbe939984792fdbbc2143a1' } }))
+        dbWebhook.getSubscribed.restore()
+        outbox.enqueue.restore()
+      })
+  })
+})